@@ -0,0 +1,114 @@
+/**
+ * Authentication
+ */
+
+'use strict';
+
+/**
+ * Build authorization header value
+ *
+ * Accepts { username, token }, { username, password }, { bearer } or a raw
+ * header value.
+ */
+
+function header(value) {
+  if (typeof value === 'string' && value) return value;
+
+  if (value && typeof value === 'object') {
+    if (value.bearer) return 'Bearer ' + value.bearer;
+
+    if (value.username) {
+      var secret = value.hasOwnProperty('token') ? value.token : value.password;
+
+      return 'Basic ' + new Buffer(value.username + ':' + (secret || ''))
+        .toString('base64');
+    }
+  }
+
+  throw new Error('invalid auth');
+}
+
+/**
+ * Initialize a new `Auth`.
+ */
+
+function Auth(opts) {
+  if (typeof opts === 'function') {
+    this._provider = opts;
+  } else {
+    this._header = header(opts);
+  }
+}
+
+/**
+ * Get authorization header value (calls provider when set)
+ */
+
+Auth.prototype.get = function(callback) {
+  if (!this._provider) return callback(null, this._header);
+
+  var done = false;
+
+  var finish = function(err, value) {
+    if (done) return;
+    done = true;
+
+    if (err) return callback(err);
+
+    try {
+      value = header(value);
+    } catch (err) {
+      return callback(err);
+    }
+
+    callback(null, value);
+  };
+
+  var result;
+
+  try {
+    result = this._provider(finish);
+  } catch (err) {
+    return finish(err);
+  }
+
+  if (result && typeof result.then === 'function') {
+    result.then(function(value) {
+      finish(null, value);
+    }, function(err) {
+      finish(err || new Error('auth provider failed'));
+    });
+  } else if (result !== undefined) {
+    finish(null, result);
+  }
+};
+
+/**
+ * Attach authorization header to requests
+ */
+
+Auth.prototype._onRequest = function(ctx, next) {
+  var headers = ctx.req.headers;
+
+  if (headers.authorization) return next();
+
+  this.get(function(err, value) {
+    if (err) {
+      var authErr = new Error('failed to get auth: ' + err.message);
+      authErr.auth = true;
+
+      return next(authErr);
+    }
+
+    headers.authorization = value;
+
+    next();
+  });
+};
+
+/**
+ * Module exports.
+ */
+
+exports.Auth = Auth;
+exports.header = header;
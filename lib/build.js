@@ -8,7 +8,38 @@
  * Module dependencies.
  */
 
+var stream = require('stream');
+
+var BuildWaiter = require('./build_waiter').BuildWaiter;
+var LogStream = require('./log_stream').LogStream;
 var middleware = require('./middleware');
+var testReport = require('./test_report');
+var utils = require('./utils');
+
+/**
+ * Stream response body, only passing through successful responses
+ */
+
+function download(jenkins, req, notFound) {
+  var out = new stream.PassThrough();
+  var sink = new stream.PassThrough();
+
+  sink.on('pipe', function(res) {
+    if (Math.floor(res.statusCode / 100) === 2) {
+      sink.pipe(out);
+    } else {
+      sink.resume();
+    }
+  });
+
+  req.pipe = sink;
+
+  jenkins._get(req, middleware.notFound(notFound), function(err) {
+    if (err) out.emit('error', err);
+  });
+
+  return out;
+}
 
 /**
  * Initialize a new `Build` client.
@@ -18,6 +49,187 @@ function Build(jenkins) {
   this.jenkins = jenkins;
 }
 
+/**
+ * Download artifact
+ */
+
+Build.prototype.artifact = function(opts) {
+  var arg0 = typeof arguments[0];
+  var arg1 = typeof arguments[1];
+
+  if ((arg0 === 'string' || Array.isArray(arguments[0])) &&
+      (arg1 === 'string' || arg1 === 'number')) {
+    opts = {
+      name: arguments[0],
+      number: arguments[1],
+      relativePath: arguments[2],
+    };
+  } else {
+    opts = opts || {};
+  }
+
+  this.jenkins._log(['debug', 'build', 'artifact'], opts);
+
+  var req = { name: 'build.artifact' };
+
+  if (!opts.name) throw this.jenkins._err('name required', req);
+  if (!opts.number) throw this.jenkins._err('number required', req);
+  if (!opts.relativePath) throw this.jenkins._err('relativePath required', req);
+
+  var path = opts.relativePath.split('/').map(encodeURIComponent).join('/');
+
+  req.path = '{folder}/{number}/artifact/{path}';
+  req.params = {
+    folder: utils.FolderPath(opts.name).path(),
+    number: opts.number,
+    path: { encode: false, toString: function() { return path; } },
+  };
+
+  return download(this.jenkins, req, opts.name + ' ' + opts.number + ' ' + opts.relativePath);
+};
+
+/**
+ * Download all artifacts as zip archive
+ */
+
+Build.prototype.artifactArchive = function(opts) {
+  var arg0 = typeof arguments[0];
+  var arg1 = typeof arguments[1];
+
+  if ((arg0 === 'string' || Array.isArray(arguments[0])) &&
+      (arg1 === 'string' || arg1 === 'number')) {
+    opts = {
+      name: arguments[0],
+      number: arguments[1],
+    };
+  } else {
+    opts = opts || {};
+  }
+
+  this.jenkins._log(['debug', 'build', 'artifactArchive'], opts);
+
+  var req = { name: 'build.artifactArchive' };
+
+  if (!opts.name) throw this.jenkins._err('name required', req);
+  if (!opts.number) throw this.jenkins._err('number required', req);
+
+  req.path = '{folder}/{number}/artifact/*zip*/archive.zip';
+  req.params = {
+    folder: utils.FolderPath(opts.name).path(),
+    number: opts.number,
+  };
+
+  return download(this.jenkins, req, opts.name + ' ' + opts.number);
+};
+
+/**
+ * List artifacts
+ */
+
+Build.prototype.artifacts = function(opts, callback) {
+  var arg0 = typeof arguments[0];
+  var arg1 = typeof arguments[1];
+
+  if ((arg0 === 'string' || Array.isArray(arguments[0])) &&
+      (arg1 === 'string' || arg1 === 'number')) {
+    opts = {
+      name: arguments[0],
+      number: arguments[1],
+    };
+    callback = arguments[2];
+  } else {
+    opts = opts || {};
+  }
+
+  this.jenkins._log(['debug', 'build', 'artifacts'], opts);
+
+  var req = { name: 'build.artifacts' };
+
+  try {
+    if (!opts.name) throw new Error('name required');
+    if (!opts.number) throw new Error('number required');
+
+    req.path = '{folder}/{number}/api/json';
+    req.params = {
+      folder: utils.FolderPath(opts.name).path(),
+      number: opts.number,
+    };
+    req.query = { tree: 'artifacts[*]' };
+  } catch (err) {
+    return callback(this.jenkins._err(err, req));
+  }
+
+  return this.jenkins._get(
+    req,
+    middleware.notFound(opts.name + ' ' + opts.number),
+    function(ctx, next) {
+      if (ctx.err) return next(ctx.err);
+
+      var artifacts = (ctx.res.body && ctx.res.body.artifacts) || [];
+
+      next(false, null, artifacts.map(function(artifact) {
+        var data = {
+          relativePath: artifact.relativePath,
+          fileName: artifact.fileName,
+        };
+
+        if (artifact.displayPath) data.displayPath = artifact.displayPath;
+        if (typeof artifact.size === 'number') data.size = artifact.size;
+
+        return data;
+      }));
+    },
+    callback
+  );
+};
+
+/**
+ * Delete build
+ */
+
+Build.prototype.destroy = function(opts, callback) {
+  var arg0 = typeof arguments[0];
+  var arg1 = typeof arguments[1];
+
+  if ((arg0 === 'string' || Array.isArray(arguments[0])) &&
+      (arg1 === 'string' || arg1 === 'number')) {
+    opts = {
+      name: arguments[0],
+      number: arguments[1],
+    };
+    callback = arguments[2];
+  } else {
+    opts = opts || {};
+  }
+
+  this.jenkins._log(['debug', 'build', 'destroy'], opts);
+
+  var req = { name: 'build.destroy' };
+
+  try {
+    if (!opts.name) throw new Error('name required');
+    if (!opts.number) throw new Error('number required');
+
+    req.path = '{folder}/{number}/doDelete';
+    req.params = {
+      folder: utils.FolderPath(opts.name).path(),
+      number: opts.number,
+    };
+  } catch (err) {
+    return callback(this.jenkins._err(err, req));
+  }
+
+  return this.jenkins._post(
+    req,
+    middleware.notFound(opts.name + ' ' + opts.number),
+    middleware.require302('failed to delete: ' + opts.name + ' ' + opts.number),
+    middleware.empty,
+    callback
+  );
+};
+
+Build.prototype['delete'] = Build.prototype.destroy;
+
 /**
  * Build details
  */
@@ -28,7 +240,8 @@ Build.prototype.get = function(opts, callback) {
   var arg2 = typeof arguments[2];
   var arg3 = typeof arguments[3];
 
-  if (arg0 === 'string' && (arg1 === 'string' || arg1 === 'number')) {
+  if ((arg0 === 'string' || Array.isArray(arguments[0])) &&
+      (arg1 === 'string' || arg1 === 'number')) {
     if (arg2 === 'object') {
       opts = arguments[2];
       callback = arg3 === 'function' ? arguments[3] : undefined;
@@ -53,12 +266,14 @@ Build.prototype.get = function(opts, callback) {
     if (!opts.name) throw new Error('name required');
     if (!opts.number) throw new Error('number required');
 
-    req.path = '/job/{name}/{number}/api/json';
+    req.path = '{folder}/{number}/api/json';
     req.params = {
-      name: opts.name,
+      folder: utils.FolderPath(opts.name).path(),
       number: opts.number,
     };
     req.query = { depth: opts.depth };
+
+    if (opts.tree) req.query.tree = utils.tree(opts.tree);
   } catch (err) {
     return callback(this.jenkins._err(err, req));
   }
@@ -71,6 +286,276 @@ Build.prototype.get = function(opts, callback) {
   );
 };
 
+/**
+ * Keep build forever (or release it)
+ */
+
+Build.prototype.keepLog = function(opts, callback) {
+  var self = this;
+
+  var arg0 = typeof arguments[0];
+  var arg1 = typeof arguments[1];
+  var arg2 = typeof arguments[2];
+
+  if ((arg0 === 'string' || Array.isArray(arguments[0])) &&
+      (arg1 === 'string' || arg1 === 'number')) {
+    opts = {
+      name: arguments[0],
+      number: arguments[1],
+    };
+    if (arg2 === 'boolean') {
+      opts.keep = arguments[2];
+      callback = arguments[3];
+    } else {
+      callback = arguments[2];
+    }
+  } else {
+    opts = opts || {};
+  }
+
+  var keep = opts.hasOwnProperty('keep') ? !!opts.keep : true;
+
+  self.jenkins._log(['debug', 'build', 'keepLog'], opts);
+
+  var req = { name: 'build.keepLog' };
+
+  try {
+    if (!opts.name) throw new Error('name required');
+    if (!opts.number) throw new Error('number required');
+
+    req.path = '{folder}/{number}/toggleLogKeep';
+    req.params = {
+      folder: utils.FolderPath(opts.name).path(),
+      number: opts.number,
+    };
+  } catch (err) {
+    return callback(self.jenkins._err(err, req));
+  }
+
+  // jenkins only exposes a toggle, so check current state first
+  self.get(opts.name, opts.number, { tree: 'keepLog' }, function(err, build) {
+    if (err) return callback(err);
+
+    if (Boolean(build.keepLog) === keep) return callback();
+
+    self.jenkins._post(
+      req,
+      middleware.notFound(opts.name + ' ' + opts.number),
+      middleware.require302('failed to toggle keep: ' + opts.name + ' ' + opts.number),
+      middleware.empty,
+      callback
+    );
+  });
+};
+
+/**
+ * Get build log
+ */
+
+Build.prototype.log = function(opts, callback) {
+  var arg0 = typeof arguments[0];
+  var arg1 = typeof arguments[1];
+  var arg2 = typeof arguments[2];
+  var arg3 = typeof arguments[3];
+
+  if ((arg0 === 'string' || Array.isArray(arguments[0])) &&
+      (arg1 === 'string' || arg1 === 'number')) {
+    if (arg2 === 'object') {
+      opts = arguments[2];
+      callback = arg3 === 'function' ? arguments[3] : undefined;
+    } else {
+      opts = {};
+      callback = arg2 === 'function' ? arguments[2] : undefined;
+    }
+
+    opts.name = arguments[0];
+    opts.number = arguments[1];
+  } else {
+    opts = opts || {};
+  }
+
+  this.jenkins._log(['debug', 'build', 'log'], opts);
+
+  var req = { name: 'build.log' };
+
+  try {
+    if (!opts.name) throw new Error('name required');
+    if (!opts.number) throw new Error('number required');
+
+    req.path = '{folder}/{number}/consoleText';
+    req.params = {
+      folder: utils.FolderPath(opts.name).path(),
+      number: opts.number,
+    };
+    req.buffer = true;
+  } catch (err) {
+    return callback(this.jenkins._err(err, req));
+  }
+
+  return this.jenkins._get(
+    req,
+    middleware.notFound(opts.name + ' ' + opts.number),
+    function(ctx, next) {
+      if (ctx.err) return next(ctx.err);
+
+      next(false, null, ctx.res.body ? ctx.res.body.toString('utf8') : '');
+    },
+    callback
+  );
+};
+
+/**
+ * Stream build log
+ */
+
+Build.prototype.logStream = function(opts) {
+  var arg0 = typeof arguments[0];
+  var arg1 = typeof arguments[1];
+
+  if ((arg0 === 'string' || Array.isArray(arguments[0])) &&
+      (arg1 === 'string' || arg1 === 'number')) {
+    opts = arguments[2] || {};
+
+    opts.name = arguments[0];
+    opts.number = arguments[1];
+  } else {
+    opts = opts || {};
+  }
+
+  this.jenkins._log(['debug', 'build', 'logStream'], opts);
+
+  if (!opts.name) throw this.jenkins._err('name required', { name: 'build.logStream' });
+  if (!opts.number) throw this.jenkins._err('number required', { name: 'build.logStream' });
+
+  return new LogStream(this.jenkins, opts);
+};
+
+/**
+ * Set build description
+ */
+
+Build.prototype.setDescription = function(opts, callback) {
+  var arg0 = typeof arguments[0];
+  var arg1 = typeof arguments[1];
+  var arg2 = typeof arguments[2];
+
+  if ((arg0 === 'string' || Array.isArray(arguments[0])) &&
+      (arg1 === 'string' || arg1 === 'number')) {
+    opts = {
+      name: arguments[0],
+      number: arguments[1],
+    };
+
+    if (arg2 === 'function') {
+      callback = arguments[2];
+    } else {
+      opts.description = arguments[2];
+      callback = arguments[3];
+    }
+  } else {
+    opts = opts || {};
+  }
+
+  this.jenkins._log(['debug', 'build', 'setDescription'], opts);
+
+  var req = { name: 'build.setDescription' };
+
+  try {
+    if (!opts.name) throw new Error('name required');
+    if (!opts.number) throw new Error('number required');
+
+    req.path = '{folder}/{number}/submitDescription';
+    req.params = {
+      folder: utils.FolderPath(opts.name).path(),
+      number: opts.number,
+    };
+    req.type = 'form';
+    req.body = { description: opts.description || '' };
+  } catch (err) {
+    return callback(this.jenkins._err(err, req));
+  }
+
+  return this.jenkins._post(
+    req,
+    middleware.notFound(opts.name + ' ' + opts.number),
+    middleware.require302('failed to set description: ' + opts.name + ' ' + opts.number),
+    middleware.empty,
+    callback
+  );
+};
+
+/**
+ * Set build display name
+ */
+
+Build.prototype.setDisplayName = function(opts, callback) {
+  var self = this;
+
+  var arg0 = typeof arguments[0];
+  var arg1 = typeof arguments[1];
+  var arg2 = typeof arguments[2];
+
+  if ((arg0 === 'string' || Array.isArray(arguments[0])) &&
+      (arg1 === 'string' || arg1 === 'number')) {
+    opts = {
+      name: arguments[0],
+      number: arguments[1],
+    };
+
+    if (arg2 === 'function') {
+      callback = arguments[2];
+    } else {
+      opts.displayName = arguments[2];
+      callback = arguments[3];
+    }
+  } else {
+    opts = opts || {};
+  }
+
+  self.jenkins._log(['debug', 'build', 'setDisplayName'], opts);
+
+  var req = { name: 'build.setDisplayName' };
+
+  try {
+    if (!opts.name) throw new Error('name required');
+    if (!opts.number) throw new Error('number required');
+
+    req.path = '{folder}/{number}/configSubmit';
+    req.params = {
+      folder: utils.FolderPath(opts.name).path(),
+      number: opts.number,
+    };
+  } catch (err) {
+    return callback(self.jenkins._err(err, req));
+  }
+
+  // configSubmit also sets the description, so send the current one back
+  self.get(opts.name, opts.number, { tree: 'description' }, function(err, build) {
+    if (err) return callback(err);
+
+    var form = {
+      displayName: opts.displayName || '',
+      description: build.description || '',
+    };
+
+    req.type = 'form';
+    req.body = {
+      displayName: form.displayName,
+      description: form.description,
+      json: JSON.stringify(form),
+      Submit: 'Save',
+    };
+
+    self.jenkins._post(
+      req,
+      middleware.notFound(opts.name + ' ' + opts.number),
+      middleware.require302('failed to set display name: ' + opts.name + ' ' + opts.number),
+      middleware.empty,
+      callback
+    );
+  });
+};
+
 /**
  * Stop build
  */
@@ -79,7 +564,8 @@ Build.prototype.stop = function(opts, callback) {
   var arg0 = typeof arguments[0];
   var arg1 = typeof arguments[1];
 
-  if (arg0 === 'string' && (arg1 === 'string' || arg1 === 'number')) {
+  if ((arg0 === 'string' || Array.isArray(arguments[0])) &&
+      (arg1 === 'string' || arg1 === 'number')) {
     opts = {
       name: arguments[0],
       number: arguments[1],
@@ -97,9 +583,9 @@ Build.prototype.stop = function(opts, callback) {
     if (!opts.name) throw new Error('name required');
     if (!opts.number) throw new Error('number required');
 
-    req.path = '/job/{name}/{number}/stop';
+    req.path = '{folder}/{number}/stop';
     req.params = {
-      name: opts.name,
+      folder: utils.FolderPath(opts.name).path(),
       number: opts.number,
     };
   } catch (err) {
@@ -115,6 +601,170 @@ Build.prototype.stop = function(opts, callback) {
   );
 };
 
+/**
+ * Test report
+ */
+
+Build.prototype.testReport = function(opts, callback) {
+  var arg0 = typeof arguments[0];
+  var arg1 = typeof arguments[1];
+  var arg2 = typeof arguments[2];
+  var arg3 = typeof arguments[3];
+
+  if ((arg0 === 'string' || Array.isArray(arguments[0])) &&
+      (arg1 === 'string' || arg1 === 'number')) {
+    if (arg2 === 'object') {
+      opts = arguments[2];
+      callback = arg3 === 'function' ? arguments[3] : undefined;
+    } else {
+      opts = {};
+      callback = arg2 === 'function' ? arguments[2] : undefined;
+    }
+
+    opts.name = arguments[0];
+    opts.number = arguments[1];
+  } else {
+    opts = opts || {};
+  }
+
+  this.jenkins._log(['debug', 'build', 'testReport'], opts);
+
+  var req = { name: 'build.testReport' };
+
+  try {
+    if (!opts.name) throw new Error('name required');
+    if (!opts.number) throw new Error('number required');
+
+    req.path = '{folder}/{number}/testReport/api/json';
+    req.params = {
+      folder: utils.FolderPath(opts.name).path(),
+      number: opts.number,
+    };
+    req.query = {};
+
+    if (opts.tree) req.query.tree = utils.tree(opts.tree);
+    if (opts.depth) req.query.depth = opts.depth;
+  } catch (err) {
+    return callback(this.jenkins._err(err, req));
+  }
+
+  return this.jenkins._get(
+    req,
+    middleware.notFound(opts.name + ' ' + opts.number + ' test report'),
+    middleware.body,
+    callback
+  );
+};
+
+/**
+ * Summarize test report
+ */
+
+Build.prototype.testSummary = function(opts, callback) {
+  var self = this;
+
+  var arg0 = typeof arguments[0];
+  var arg1 = typeof arguments[1];
+  var arg2 = typeof arguments[2];
+  var arg3 = typeof arguments[3];
+
+  if ((arg0 === 'string' || Array.isArray(arguments[0])) &&
+      (arg1 === 'string' || arg1 === 'number')) {
+    if (arg2 === 'object') {
+      opts = arguments[2];
+      callback = arg3 === 'function' ? arguments[3] : undefined;
+    } else {
+      opts = {};
+      callback = arg2 === 'function' ? arguments[2] : undefined;
+    }
+
+    opts.name = arguments[0];
+    opts.number = arguments[1];
+  } else {
+    opts = opts || {};
+  }
+
+  self.jenkins._log(['debug', 'build', 'testSummary'], opts);
+
+  var numbers = [opts.number];
+  if (opts.compare) numbers.push(opts.compare);
+
+  var summaries = [];
+  var pending = numbers.length;
+  var failed = false;
+
+  numbers.forEach(function(number, i) {
+    self.testReport({
+      name: opts.name,
+      number: number,
+      tree: testReport.TREE,
+    }, function(err, report) {
+      if (failed) return;
+
+      if (err) {
+        failed = true;
+        return callback(err);
+      }
+
+      summaries[i] = testReport.summarize(report);
+
+      if (--pending) return;
+
+      var summary = summaries[0];
+      if (opts.compare) summary.compare = testReport.compare(summary, summaries[1]);
+
+      callback(null, summary);
+    });
+  });
+};
+
+/**
+ * Wait for queue item to be built
+ */
+
+Build.prototype.waitFor = function(opts, callback) {
+  var arg0 = typeof arguments[0];
+  var arg1 = typeof arguments[1];
+  var arg2 = typeof arguments[2];
+
+  if (arg0 === 'number' || arg0 === 'string') {
+    if (arg1 === 'object') {
+      opts = arguments[1];
+      callback = arg2 === 'function' ? arguments[2] : undefined;
+    } else {
+      opts = {};
+      callback = arg1 === 'function' ? arguments[1] : undefined;
+    }
+
+    opts.queueNumber = arguments[0];
+  } else {
+    opts = opts || {};
+  }
+
+  this.jenkins._log(['debug', 'build', 'waitFor'], opts);
+
+  var waiter = new BuildWaiter(this.jenkins, opts, callback);
+
+  if (!opts.queueNumber) {
+    waiter._finish(waiter._err('queueNumber required'));
+  } else {
+    waiter._start(opts.queueNumber);
+  }
+
+  return waiter;
+};
+
+/**
+ * Promise support
+ */
+
+utils.promisify(Build.prototype, [
+  'artifact',
+  'artifactArchive',
+  'logStream',
+  'waitFor',
+]);
+
 /**
  * Module exports.
  */
@@ -0,0 +1,178 @@
+/**
+ * Paged build history stream
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var stream = require('stream');
+var util = require('util');
+
+var middleware = require('./middleware');
+var utils = require('./utils');
+
+/**
+ * Fields needed to apply filters
+ */
+
+var FIELDS = ['number', 'result', 'timestamp', 'duration', 'url'];
+
+/**
+ * Convert Date or number to timestamp
+ */
+
+function timestamp(value) {
+  if (value === undefined || value === null) return null;
+
+  return value instanceof Date ? value.getTime() : Number(value);
+}
+
+/**
+ * Initialize a new `BuildStream`.
+ */
+
+function BuildStream(jenkins, opts) {
+  // only fetch the next page once the current one has been consumed
+  stream.Readable.call(this, { objectMode: true, highWaterMark: 1 });
+
+  this._jenkins = jenkins;
+
+  this._opts = opts;
+  this._opts.pageSize = opts.pageSize || 100;
+
+  this._fields = opts.tree ? utils.treeFields(opts.tree) : FIELDS;
+
+  this._result = opts.result ? [].concat(opts.result) : null;
+  this._since = timestamp(opts.since);
+  this._until = timestamp(opts.until);
+
+  // filters need these fields even when not requested
+  if (this._result && this._fields.indexOf('result') === -1) {
+    this._fields = this._fields.concat('result');
+  }
+  if ((this._since || this._until) && this._fields.indexOf('timestamp') === -1) {
+    this._fields = this._fields.concat('timestamp');
+  }
+
+  this._start = 0;
+  this._active = false;
+  this._ended = false;
+}
+
+util.inherits(BuildStream, stream.Readable);
+
+/**
+ * Start or resume paging
+ */
+
+BuildStream.prototype._read = function() {
+  if (this._active || this._ended) return;
+
+  this._active = true;
+  this._fetch();
+};
+
+/**
+ * Fetch next page of builds
+ */
+
+BuildStream.prototype._fetch = function() {
+  var self = this;
+
+  var opts = self._opts;
+  var start = self._start;
+  var end = start + opts.pageSize;
+
+  var tree = {};
+  tree['allBuilds{' + start + ',' + end + '}'] = self._fields;
+
+  var req = {
+    name: 'job.builds',
+    path: '{folder}/api/json',
+    params: { folder: utils.FolderPath(opts.name).path() },
+    query: { tree: utils.tree(tree) },
+  };
+
+  self._jenkins._get(
+    req,
+    middleware.notFound(opts.name),
+    middleware.bodyItem('allBuilds'),
+    function(err, builds) {
+      if (self._ended) return;
+
+      if (err) {
+        self._ended = true;
+        return self.emit('error', err);
+      }
+
+      builds = builds || [];
+
+      self._start = end;
+
+      // builds are returned newest first
+      var done = builds.length < opts.pageSize;
+      var ok = true;
+
+      for (var i = 0; i < builds.length; i++) {
+        var build = builds[i];
+
+        if (self._since !== null && build.timestamp < self._since) {
+          done = true;
+          break;
+        }
+
+        if (self._until !== null && build.timestamp >= self._until) continue;
+        if (self._result && self._result.indexOf(build.result) === -1) continue;
+
+        ok = self.push(build);
+
+        // consumer stopped while pushing
+        if (self._ended) return;
+      }
+
+      if (done) {
+        self._ended = true;
+        return self.push(null);
+      }
+
+      // wait for consumer to ask for more
+      if (!ok) {
+        self._active = false;
+        return;
+      }
+
+      self._fetch();
+    }
+  );
+};
+
+/**
+ * Stop paging (ex: consumer broke out of loop)
+ */
+
+BuildStream.prototype._destroy = function(err, callback) {
+  this._ended = true;
+
+  callback(err);
+};
+
+/**
+ * Stop paging
+ */
+
+BuildStream.prototype.end = function() {
+  if (this._ended) return;
+
+  this._ended = true;
+
+  this.push(null);
+};
+
+/**
+ * Module exports.
+ */
+
+exports.BuildStream = BuildStream;
@@ -0,0 +1,261 @@
+/**
+ * Follow a queue item until its build finishes
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var events = require('events');
+var util = require('util');
+
+var utils = require('./utils');
+
+/**
+ * Initialize a new `BuildWaiter`.
+ */
+
+function BuildWaiter(jenkins, opts, callback) {
+  events.EventEmitter.call(this);
+
+  this._jenkins = jenkins;
+
+  this._opts = opts;
+  // delay is the deprecated name of pollInterval
+  this._opts.pollInterval = opts.pollInterval || opts.delay || 1000;
+
+  this._callback = callback;
+  this._done = false;
+  this._aborted = false;
+
+  if (opts.timeout) {
+    var self = this;
+
+    this._timeoutId = setTimeout(function() {
+      var err = self._err('timed out (' + opts.timeout + 'ms)');
+      err.timeout = true;
+
+      self._finish(err);
+    }, opts.timeout);
+  }
+}
+
+util.inherits(BuildWaiter, events.EventEmitter);
+
+/**
+ * Create error
+ */
+
+BuildWaiter.prototype._err = function(message) {
+  return this._jenkins._err(message, { name: 'build.waitFor' });
+};
+
+/**
+ * Start following queue item
+ */
+
+BuildWaiter.prototype._start = function(queueNumber) {
+  if (this._done) return;
+
+  this.queueNumber = queueNumber;
+
+  if (this._aborted) return this._cancel();
+
+  this._pollQueue();
+};
+
+/**
+ * Schedule next poll
+ */
+
+BuildWaiter.prototype._schedule = function(fn) {
+  var self = this;
+
+  if (self._done || self._aborted) return;
+
+  self._pollId = setTimeout(function() {
+    self._pollId = null;
+    fn.call(self);
+  }, self._opts.pollInterval);
+};
+
+/**
+ * Poll queue item until it has an executable
+ */
+
+BuildWaiter.prototype._pollQueue = function() {
+  var self = this;
+
+  self._jenkins.queue.item(self.queueNumber, function(err, item) {
+    if (self._done || self._aborted) return;
+    if (err) return self._finish(err);
+
+    if (!self._queued) {
+      self._queued = true;
+      self.emit('queued', item);
+    }
+
+    if (item.cancelled) {
+      var cancelErr = self._err('queue item cancelled');
+      cancelErr.cancelled = true;
+
+      return self._finish(cancelErr);
+    }
+
+    if (item.executable) {
+      self.name = self._opts.name ||
+        utils.FolderPath.fromUrl(item.task && item.task.url).toString();
+      self.number = item.executable.number;
+
+      return self._pollBuild();
+    }
+
+    if (item.why !== self._why) {
+      self._why = item.why;
+
+      if (item.why) self.emit('blocked', item.why, item);
+    }
+
+    self._schedule(self._pollQueue);
+  });
+};
+
+/**
+ * Poll build until it is no longer building
+ */
+
+BuildWaiter.prototype._pollBuild = function() {
+  var self = this;
+
+  self._jenkins.build.get(self.name, self.number, function(err, build) {
+    if (self._done || self._aborted) return;
+
+    // build can briefly be missing after leaving the queue
+    if (err && err.notFound) return self._schedule(self._pollBuild);
+    if (err) return self._finish(err);
+
+    if (!self._started) {
+      self._started = true;
+      self.emit('started', build);
+    }
+
+    if (build.building) return self._schedule(self._pollBuild);
+
+    self.emit('finished', build);
+    self._finish(null, build);
+  });
+};
+
+/**
+ * Cancel queue item or stop build
+ */
+
+BuildWaiter.prototype._cancel = function(callback) {
+  var self = this;
+
+  callback = callback || function() {};
+
+  var done = function(err) {
+    var abortErr = self._err('aborted');
+    abortErr.aborted = true;
+
+    self._finish(abortErr);
+
+    callback(err);
+  };
+
+  if (self.number) {
+    self._jenkins.build.stop(self.name, self.number, done);
+  } else if (self.queueNumber) {
+    self._jenkins.queue.cancel(self.queueNumber, done);
+  } else {
+    done();
+  }
+};
+
+/**
+ * Abort waiting, cancelling the queue item or stopping the build
+ */
+
+BuildWaiter.prototype.abort = function(callback) {
+  if (this._done || this._aborted) {
+    if (callback) callback();
+    return;
+  }
+
+  this._aborted = true;
+
+  if (this._pollId) {
+    clearTimeout(this._pollId);
+    this._pollId = null;
+  }
+
+  // queue number not known yet, cancel once it is
+  if (!this.queueNumber) {
+    this._abortCallback = callback;
+    return;
+  }
+
+  this._cancel(callback);
+};
+
+/**
+ * Finish waiting
+ */
+
+BuildWaiter.prototype._finish = function(err, build) {
+  if (this._done) return;
+
+  this._done = true;
+  this._result = { err: err, build: build };
+
+  if (this._timeoutId) clearTimeout(this._timeoutId);
+  if (this._pollId) clearTimeout(this._pollId);
+
+  if (this._abortCallback) {
+    this._abortCallback();
+    this._abortCallback = null;
+  }
+
+  if (err && this.listeners('error').length) this.emit('error', err);
+
+  this.emit('end', err, build);
+
+  if (this._callback) this._callback(err, build);
+};
+
+/**
+ * Promise support
+ */
+
+BuildWaiter.prototype.then = function(onResolve, onReject) {
+  var self = this;
+
+  if (!self._promise) {
+    self._promise = new Promise(function(resolve, reject) {
+      var done = function(err, build) {
+        if (err) return reject(err);
+
+        resolve(build);
+      };
+
+      if (self._result) return done(self._result.err, self._result.build);
+
+      self.once('end', done);
+    });
+  }
+
+  return self._promise.then(onResolve, onReject);
+};
+
+BuildWaiter.prototype['catch'] = function(onReject) {
+  return this.then(undefined, onReject);
+};
+
+/**
+ * Module exports.
+ */
+
+exports.BuildWaiter = BuildWaiter;
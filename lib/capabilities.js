@@ -0,0 +1,71 @@
+/**
+ * Version dependent behavior
+ */
+
+'use strict';
+
+/**
+ * Versions where behavior changed
+ */
+
+var VERSIONS = {
+  // built-in node renamed from "master" to "built-in"
+  builtInNode: '2.307',
+  // CSRF protection can no longer be disabled
+  crumbRequired: '2.222',
+  // node descriptors looked up by id in doCreateItem
+  nodeTypeId: '2.0',
+};
+
+/**
+ * Compare two version strings (ex: 2.319.1), returns -1, 0 or 1
+ */
+
+function compareVersions(a, b) {
+  var parse = function(value) {
+    return String(value).split('.').map(function(part) {
+      return parseInt(part, 10) || 0;
+    });
+  };
+
+  a = parse(a);
+  b = parse(b);
+
+  for (var i = 0; i < Math.max(a.length, b.length); i++) {
+    var x = a[i] || 0;
+    var y = b[i] || 0;
+
+    if (x !== y) return x < y ? -1 : 1;
+  }
+
+  return 0;
+}
+
+/**
+ * Detect capabilities from version (X-Jenkins header) and server info
+ */
+
+function detect(version, info) {
+  info = info || {};
+
+  var atLeast = function(value) {
+    return !!version && compareVersions(version, value) >= 0;
+  };
+
+  return {
+    version: version || null,
+    builtInNodeName: atLeast(VERSIONS.builtInNode) ? '(built-in)' : '(master)',
+    crumbRequired: atLeast(VERSIONS.crumbRequired) || !!info.useCrumbs,
+    nodeType: atLeast(VERSIONS.nodeTypeId) ?
+      'hudson.slaves.DumbSlave' :
+      'hudson.slaves.DumbSlave$DescriptorImpl',
+  };
+}
+
+/**
+ * Module exports.
+ */
+
+exports.VERSIONS = VERSIONS;
+exports.compareVersions = compareVersions;
+exports.detect = detect;
@@ -0,0 +1,700 @@
+/**
+ * Job and node config.xml model
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var crypto = require('crypto');
+
+var xml = require('./xml');
+
+/**
+ * Parameter definition types
+ */
+
+var PARAMETER_TYPES = {
+  boolean: 'hudson.model.BooleanParameterDefinition',
+  choice: 'hudson.model.ChoiceParameterDefinition',
+  file: 'hudson.model.FileParameterDefinition',
+  password: 'hudson.model.PasswordParameterDefinition',
+  string: 'hudson.model.StringParameterDefinition',
+  text: 'hudson.model.TextParameterDefinition',
+};
+
+/**
+ * Trigger types
+ */
+
+var TRIGGER_TYPES = {
+  cron: 'hudson.triggers.TimerTrigger',
+  scm: 'hudson.triggers.SCMTrigger',
+};
+
+var PARAMETERS_PATH = 'properties/hudson.model.ParametersDefinitionProperty/' +
+  'parameterDefinitions';
+
+var PIPELINE_TRIGGERS_PATH = 'properties/' +
+  'org.jenkinsci.plugins.workflow.job.properties.PipelineTriggersJobProperty/triggers';
+
+/**
+ * Locations of scm url (git and subversion, freestyle and pipeline)
+ */
+
+var SCM_URL_PATHS = [
+  'scm/userRemoteConfigs/hudson.plugins.git.UserRemoteConfig/url',
+  'scm/locations/hudson.scm.SubversionSCM_-ModuleLocation/remote',
+  'definition/scm/userRemoteConfigs/hudson.plugins.git.UserRemoteConfig/url',
+  'definition/scm/locations/hudson.scm.SubversionSCM_-ModuleLocation/remote',
+];
+
+/**
+ * Short name for class (ex: string for StringParameterDefinition)
+ */
+
+function shortName(types, className) {
+  for (var name in types) {
+    if (types.hasOwnProperty(name) && types[name] === className) return name;
+  }
+
+  return className;
+}
+
+/**
+ * Parameter type for class (ex: string for hudson.model.StringParameterDefinition)
+ */
+
+function parameterType(className) {
+  return shortName(PARAMETER_TYPES, className);
+}
+
+/**
+ * Split element path
+ */
+
+function segments(path) {
+  if (Array.isArray(path)) return path;
+
+  return String(path).split('/').filter(Boolean);
+}
+
+/**
+ * Indentation for depth
+ */
+
+function indent(depth) {
+  return new Array(depth + 1).join('  ');
+}
+
+/**
+ * Remove element from parent along with its indentation
+ */
+
+function detach(parent, node) {
+  var index = parent.children.indexOf(node);
+  var prev = parent.children[index - 1];
+
+  if (prev && prev.type === 'text' && !prev.value.trim()) {
+    parent.children.splice(index - 1, 2);
+  } else {
+    parent.children.splice(index, 1);
+  }
+}
+
+/**
+ * Initialize a new `Config` from config.xml.
+ */
+
+function Config(value) {
+  if (!(this instanceof Config)) return new Config(value);
+
+  this.document = xml.parse(value);
+
+  if (!this.root()) throw new Error('invalid xml: root element not found');
+}
+
+/**
+ * Parse config.xml
+ */
+
+Config.parse = function(value) {
+  return new Config(value);
+};
+
+/**
+ * Root element
+ */
+
+Config.prototype.root = function() {
+  return xml.children(this.document)[0];
+};
+
+/**
+ * Root element name (ex: project, flow-definition, slave)
+ */
+
+Config.prototype.type = function() {
+  return this.root().name;
+};
+
+/**
+ * Find all elements matching path (relative to root)
+ */
+
+Config.prototype.findAll = function(path) {
+  return segments(path).reduce(function(nodes, name) {
+    return nodes.reduce(function(result, node) {
+      return result.concat(xml.children(node, name));
+    }, []);
+  }, [this.root()]);
+};
+
+/**
+ * Find first element matching path
+ */
+
+Config.prototype.find = function(path) {
+  return this.findAll(path)[0] || null;
+};
+
+/**
+ * Text of element at path (undefined when missing)
+ */
+
+Config.prototype.get = function(path) {
+  var node = this.find(path);
+
+  return node ? xml.textContent(node) : undefined;
+};
+
+/**
+ * Set text of element at path (missing elements are created)
+ */
+
+Config.prototype.set = function(path, value) {
+  xml.setText(this.ensure(path), value);
+
+  return this;
+};
+
+/**
+ * Find element at path, creating missing elements
+ */
+
+Config.prototype.ensure = function(path) {
+  var self = this;
+  var node = self.root();
+
+  segments(path).forEach(function(name, depth) {
+    node = xml.children(node, name)[0] || self.append(node, depth, name);
+  });
+
+  return node;
+};
+
+/**
+ * Append new element to parent (at depth) matching surrounding indentation
+ */
+
+Config.prototype.append = function(parent, depth, name, value) {
+  var node = xml.element(name);
+  var elements = xml.children(parent);
+
+  if (value !== undefined && value !== null) xml.setText(node, value);
+
+  if (!elements.length) {
+    parent.children = [
+      xml.text('\n' + indent(depth + 1)),
+      node,
+      xml.text('\n' + indent(depth)),
+    ];
+  } else {
+    var index = parent.children.indexOf(elements[elements.length - 1]) + 1;
+
+    parent.children.splice(index, 0, xml.text('\n' + indent(depth + 1)), node);
+  }
+
+  parent.selfClosing = false;
+
+  return node;
+};
+
+/**
+ * Remove elements at path
+ */
+
+Config.prototype.remove = function(path) {
+  path = segments(path);
+
+  var parents = path.length > 1 ? this.findAll(path.slice(0, -1)) : [this.root()];
+  var name = path[path.length - 1];
+  var removed = 0;
+
+  parents.forEach(function(parent) {
+    xml.children(parent, name).forEach(function(node) {
+      detach(parent, node);
+      removed++;
+    });
+
+    if (!xml.children(parent).length && !xml.textContent(parent).trim()) {
+      parent.children = [];
+      parent.selfClosing = true;
+    }
+  });
+
+  return removed;
+};
+
+/**
+ * Description
+ */
+
+Config.prototype.description = function() {
+  return this.get('description') || '';
+};
+
+Config.prototype.setDescription = function(value) {
+  return this.set('description', value || '');
+};
+
+/**
+ * Disabled flag
+ */
+
+Config.prototype.disabled = function() {
+  return this.get('disabled') === 'true';
+};
+
+Config.prototype.setDisabled = function(value) {
+  return this.set('disabled', value === undefined ? true : !!value);
+};
+
+/**
+ * Label expression (assignedNode for jobs, label for nodes)
+ */
+
+Config.prototype._labelPath = function() {
+  if (this.find('assignedNode')) return 'assignedNode';
+  if (this.find('label') || /slave|agent/i.test(this.type())) return 'label';
+
+  return 'assignedNode';
+};
+
+Config.prototype.labels = function() {
+  return (this.get(this._labelPath()) || '').trim();
+};
+
+Config.prototype.setLabels = function(value) {
+  var path = this._labelPath();
+
+  if (Array.isArray(value)) value = value.join(' ');
+
+  this.set(path, value || '');
+
+  // jobs without a label expression can run anywhere
+  if (path === 'assignedNode' && this.find('canRoam')) {
+    this.set('canRoam', !value);
+  }
+
+  return this;
+};
+
+/**
+ * Scm url (git or subversion)
+ */
+
+Config.prototype.scmUrl = function() {
+  for (var i = 0; i < SCM_URL_PATHS.length; i++) {
+    var value = this.get(SCM_URL_PATHS[i]);
+    if (value !== undefined) return value;
+  }
+};
+
+Config.prototype.setScmUrl = function(value) {
+  for (var i = 0; i < SCM_URL_PATHS.length; i++) {
+    if (this.find(SCM_URL_PATHS[i])) return this.set(SCM_URL_PATHS[i], value);
+  }
+
+  throw new Error('scm url not found');
+};
+
+/**
+ * Parameter definitions
+ */
+
+Config.prototype.parameters = function() {
+  return xml.children(this.find(PARAMETERS_PATH) || {}).map(function(node) {
+    var fields = {};
+
+    xml.children(node).forEach(function(child) {
+      fields[child.name] = child;
+    });
+
+    var text = function(name) {
+      return fields[name] ? xml.textContent(fields[name]) : undefined;
+    };
+
+    var param = {
+      type: parameterType(node.name),
+      name: text('name'),
+    };
+
+    var description = text('description');
+    if (description !== undefined) param.description = description;
+
+    if (fields.choices) {
+      param.choices = [];
+
+      (function collect(parent) {
+        xml.children(parent).forEach(function(child) {
+          if (child.name === 'string') {
+            param.choices.push(xml.textContent(child));
+          } else {
+            collect(child);
+          }
+        });
+      })(fields.choices);
+
+      param.defaultValue = param.choices[0];
+    } else if (fields.defaultValue) {
+      param.defaultValue = text('defaultValue');
+
+      if (param.type === 'boolean') param.defaultValue = param.defaultValue === 'true';
+    }
+
+    return param;
+  });
+};
+
+/**
+ * Find parameter definition element by name
+ */
+
+function findParameter(parent, name) {
+  return xml.children(parent).filter(function(node) {
+    var child = xml.children(node, 'name')[0];
+
+    return child && xml.textContent(child) === name;
+  })[0];
+}
+
+/**
+ * Add or replace parameter definition (replacements keep their position)
+ */
+
+Config.prototype.setParameter = function(param) {
+  if (!param || !param.name) throw new Error('parameter name required');
+
+  var depth = segments(PARAMETERS_PATH).length;
+  var parent = this.ensure(PARAMETERS_PATH);
+  var existing = findParameter(parent, param.name);
+  var node = this.append(parent, depth, PARAMETER_TYPES[param.type || 'string'] || param.type);
+
+  this.append(node, depth + 1, 'name', param.name);
+
+  if (param.description !== undefined) {
+    this.append(node, depth + 1, 'description', param.description);
+  }
+
+  if (param.choices) {
+    var choices = this.append(node, depth + 1, 'choices');
+    choices.attributes.push({ name: 'class', value: 'java.util.Arrays$ArrayList' });
+
+    var list = this.append(choices, depth + 2, 'a');
+    list.attributes.push({ name: 'class', value: 'string-array' });
+
+    param.choices.forEach(function(choice) {
+      this.append(list, depth + 3, 'string', choice);
+    }, this);
+  } else if (param.defaultValue !== undefined) {
+    this.append(node, depth + 1, 'defaultValue', param.defaultValue);
+  }
+
+  if (existing) {
+    detach(parent, node);
+    parent.children.splice(parent.children.indexOf(existing), 1, node);
+  }
+
+  return this;
+};
+
+/**
+ * Remove parameter definition
+ */
+
+Config.prototype.removeParameter = function(name) {
+  var parent = this.find(PARAMETERS_PATH);
+  if (!parent) return this;
+
+  var node = findParameter(parent, name);
+  if (node) detach(parent, node);
+
+  // jenkins drops the property when there are no parameters left
+  if (!xml.children(parent).length) {
+    this.remove(segments(PARAMETERS_PATH).slice(0, -1));
+  }
+
+  return this;
+};
+
+/**
+ * Triggers path (freestyle or pipeline)
+ */
+
+Config.prototype._triggersPath = function() {
+  if (this.find('triggers') || this.type() !== 'flow-definition') return 'triggers';
+
+  return PIPELINE_TRIGGERS_PATH;
+};
+
+/**
+ * Triggers
+ */
+
+Config.prototype.triggers = function() {
+  return xml.children(this.find(this._triggersPath()) || {}).map(function(node) {
+    var trigger = { type: shortName(TRIGGER_TYPES, node.name) };
+
+    var spec = xml.children(node, 'spec')[0];
+    if (spec) trigger.spec = xml.textContent(spec);
+
+    return trigger;
+  });
+};
+
+/**
+ * Add or update trigger
+ */
+
+Config.prototype.setTrigger = function(type, spec) {
+  var path = this._triggersPath();
+  var className = TRIGGER_TYPES[type] || type;
+
+  var existing = this.find(path + '/' + className);
+  if (existing) return this.set(path + '/' + className + '/spec', spec || '');
+
+  var depth = segments(path).length;
+  var node = this.append(this.ensure(path), depth, className);
+
+  this.append(node, depth + 1, 'spec', spec || '');
+
+  return this;
+};
+
+/**
+ * Remove trigger
+ */
+
+Config.prototype.removeTrigger = function(type) {
+  this.remove(this._triggersPath() + '/' + (TRIGGER_TYPES[type] || type));
+
+  return this;
+};
+
+/**
+ * Serialize to config.xml
+ */
+
+Config.prototype.toString = function() {
+  return xml.serialize(this.document);
+};
+
+Config.prototype.toXml = Config.prototype.toString;
+
+/**
+ * Hash of config xml (used to detect concurrent changes)
+ */
+
+Config.hash = function(value) {
+  return crypto.createHash('sha256').update(String(value), 'utf8').digest('hex');
+};
+
+/**
+ * Flatten element values and attributes by path (repeated siblings after the
+ * first are indexed, ex: string[2])
+ */
+
+function flatten(node, prefix, result) {
+  var seen = {};
+
+  node.attributes.forEach(function(attr) {
+    result[(prefix ? prefix + '/' : '') + '@' + attr.name] = attr.value;
+  });
+
+  var elements = xml.children(node);
+
+  if (!elements.length) {
+    result[prefix] = xml.textContent(node);
+    return result;
+  }
+
+  elements.forEach(function(child) {
+    var index = seen[child.name] = (seen[child.name] || 0) + 1;
+    var path = (prefix ? prefix + '/' : '') + child.name;
+
+    if (index > 1) path += '[' + index + ']';
+
+    flatten(child, path, result);
+  });
+
+  return result;
+}
+
+/**
+ * Structured diff of two configs (ex: [{ path, type, previous, current }])
+ */
+
+Config.diff = function(previous, current) {
+  if (!(previous instanceof Config)) previous = new Config(previous);
+  if (!(current instanceof Config)) current = new Config(current);
+
+  var before = flatten(previous.root(), '', {});
+  var after = flatten(current.root(), '', {});
+  var changes = [];
+
+  Object.keys(after).forEach(function(path) {
+    if (!before.hasOwnProperty(path)) {
+      changes.push({ path: path, type: 'added', current: after[path] });
+    } else if (before[path] !== after[path]) {
+      changes.push({
+        path: path,
+        type: 'changed',
+        previous: before[path],
+        current: after[path],
+      });
+    }
+  });
+
+  Object.keys(before).forEach(function(path) {
+    if (!after.hasOwnProperty(path)) {
+      changes.push({ path: path, type: 'removed', previous: before[path] });
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Error when current config differs from the previously fetched config
+ */
+
+function checkConflict(client, name, opts, callback) {
+  var jenkins = client.jenkins;
+
+  client.config(opts.name, function(err, current) {
+    if (err) return callback(err);
+
+    var expected = opts.previousHash || Config.hash(opts.previous);
+
+    if (Config.hash(current) === expected) return callback();
+
+    err = jenkins._err('conflict: config changed', { name: name });
+    err.conflict = true;
+    err.current = current;
+    err.diff = null;
+
+    // diff is only available when the previous xml was given
+    if (opts.previous) {
+      try {
+        err.diff = Config.diff(opts.previous.toString(), current);
+      } catch (diffErr) {
+        // ignore unparsable config
+      }
+    }
+
+    callback(err);
+  });
+}
+
+/**
+ * Get config, apply mutator and post result (skipped when unchanged)
+ */
+
+function update(client, name, opts, mutator, callback) {
+  var jenkins = client.jenkins;
+
+  if (typeof callback !== 'function') {
+    return new Promise(function(resolve, reject) {
+      update(client, name, opts, mutator, function(err, data) {
+        if (err) return reject(err);
+
+        resolve(data);
+      });
+    });
+  }
+
+  if (!opts.name) return callback(jenkins._err('name required', { name: name }));
+  if (typeof mutator !== 'function') {
+    return callback(jenkins._err('mutator required', { name: name }));
+  }
+
+  client.config(opts.name, function(err, original) {
+    if (err) return callback(err);
+
+    var config;
+
+    try {
+      config = new Config(original);
+    } catch (err) {
+      return callback(jenkins._err(err, { name: name }));
+    }
+
+    var save = function(err, result) {
+      if (err) return callback(jenkins._err(err, { name: name }));
+
+      // mutator can return a replacement config or xml
+      if (result instanceof Config) {
+        config = result;
+      } else if (typeof result === 'string') {
+        try {
+          config = new Config(result);
+        } catch (err) {
+          return callback(jenkins._err(err, { name: name }));
+        }
+      }
+
+      var value = config.toString();
+
+      if (value === original) return callback(null, config);
+
+      // refuse to overwrite changes made since config was fetched
+      client.config({ name: opts.name, xml: value, previous: original }, function(err) {
+        if (err) return callback(err);
+
+        callback(null, config);
+      });
+    };
+
+    var result;
+
+    try {
+      result = mutator(config);
+    } catch (err) {
+      return save(err);
+    }
+
+    if (result && typeof result.then === 'function') {
+      result.then(function(value) {
+        save(null, value);
+      }, function(err) {
+        save(err || new Error('mutator failed'));
+      });
+    } else {
+      save(null, result);
+    }
+  });
+}
+
+/**
+ * Module exports.
+ */
+
+exports.Config = Config;
+exports.PARAMETER_TYPES = PARAMETER_TYPES;
+exports.TRIGGER_TYPES = TRIGGER_TYPES;
+exports.checkConflict = checkConflict;
+exports.parameterType = parameterType;
+exports.update = update;
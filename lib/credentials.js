@@ -0,0 +1,488 @@
+/**
+ * Credentials client
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var middleware = require('./middleware');
+var utils = require('./utils');
+
+/**
+ * Credential types (structured form)
+ */
+
+var TYPES = {
+  usernamePassword: {
+    className: 'com.cloudbees.plugins.credentials.impl.UsernamePasswordCredentialsImpl',
+    fields: ['username', 'password'],
+  },
+  secretText: {
+    className: 'org.jenkinsci.plugins.plaincredentials.impl.StringCredentialsImpl',
+    fields: ['secret'],
+  },
+  sshPrivateKey: {
+    className: 'com.cloudbees.jenkins.plugins.sshcredentials.impl.BasicSSHUserPrivateKey',
+    fields: ['username', 'passphrase'],
+  },
+  file: {
+    className: 'org.jenkinsci.plugins.plaincredentials.impl.FileCredentialsImpl',
+    fields: ['fileName'],
+  },
+};
+
+var DIRECT_ENTRY = 'com.cloudbees.jenkins.plugins.sshcredentials.impl.' +
+  'BasicSSHUserPrivateKey$DirectEntryPrivateKeySource';
+
+/**
+ * Build xml element
+ */
+
+function element(name, value) {
+  if (value === undefined || value === null) return '  <' + name + '/>';
+
+  return '  <' + name + '>' + utils.escapeXml(value) + '</' + name + '>';
+}
+
+/**
+ * Convert structured credential to xml
+ */
+
+function toXml(credential) {
+  var type = TYPES[credential.type];
+
+  if (!type) throw new Error('unknown credential type: ' + credential.type);
+
+  var lines = [
+    '<' + type.className + '>',
+    element('scope', credential.scope || 'GLOBAL'),
+    element('id', credential.id),
+    element('description', credential.description || ''),
+  ];
+
+  type.fields.forEach(function(field) {
+    lines.push(element(field, credential[field]));
+  });
+
+  if (credential.type === 'sshPrivateKey') {
+    lines.push('  <privateKeySource class="' + DIRECT_ENTRY + '">');
+    lines.push('  ' + element('privateKey', credential.privateKey));
+    lines.push('  </privateKeySource>');
+  } else if (credential.type === 'file') {
+    var content = credential.content || '';
+    if (!Buffer.isBuffer(content)) content = new Buffer(String(content));
+
+    lines.push(element('secretBytes', content.toString('base64')));
+  }
+
+  lines.push('</' + type.className + '>');
+
+  return lines.join('\n');
+}
+
+/**
+ * Copy of options safe for logging
+ */
+
+function logged(opts) {
+  var result = {};
+
+  Object.keys(opts).forEach(function(key) {
+    if (key === 'xml' || key === 'credential') {
+      result[key] = '[redacted]';
+    } else {
+      result[key] = opts[key];
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Store path (system or folder store)
+ */
+
+function storePath(opts) {
+  var folder = utils.FolderPath(opts.folder);
+  var store = opts.store || (folder.isEmpty() ? 'system' : 'folder');
+
+  var value = folder.path().toString() + '/credentials/store/' + encodeURIComponent(store);
+
+  return {
+    encode: false,
+    toString: function() { return value; },
+  };
+}
+
+/**
+ * Parse (id, [options], [callback]) arguments
+ */
+
+function parseArgs(args, key) {
+  var opts = args[0];
+  var callback = args[1];
+
+  var positional = typeof args[0] === 'string' ||
+    (key === 'credential' && !!args[0] && typeof args[0] === 'object' && !!args[0].type);
+
+  if (positional) {
+    if (typeof args[1] === 'object') {
+      opts = args[1];
+      callback = typeof args[2] === 'function' ? args[2] : undefined;
+    } else {
+      opts = {};
+      callback = typeof args[1] === 'function' ? args[1] : undefined;
+    }
+    opts[key] = args[0];
+  } else {
+    opts = opts || {};
+  }
+
+  return { opts: opts, callback: callback };
+}
+
+/**
+ * Initialize a new `Credentials` client.
+ */
+
+function Credentials(jenkins) {
+  this.jenkins = jenkins;
+}
+
+/**
+ * Get or update credential config
+ */
+
+Credentials.prototype.config = function(opts, callback) {
+  var arg0 = typeof arguments[0];
+  var arg1 = typeof arguments[1];
+  var arg2 = typeof arguments[2];
+
+  if (arg0 === 'string') {
+    opts = { id: arguments[0] };
+    if (arg1 === 'string') {
+      opts.xml = arguments[1];
+      callback = arg2 === 'function' ? arguments[2] : undefined;
+    } else if (arg1 === 'object') {
+      opts = arguments[1];
+      opts.id = arguments[0];
+      callback = arg2 === 'function' ? arguments[2] : undefined;
+    } else {
+      callback = arg1 === 'function' ? arguments[1] : undefined;
+    }
+  }
+
+  opts = opts || {};
+
+  this.jenkins._log(['debug', 'credentials', 'config'], logged(opts));
+
+  var req = { name: 'credentials.config' };
+
+  try {
+    if (!opts.id) throw new Error('id required');
+
+    req.path = '{store}/domain/{domain}/credential/{id}/config.xml';
+    req.params = {
+      store: storePath(opts),
+      domain: opts.domain || '_',
+      id: opts.id,
+    };
+
+    if (opts.xml) {
+      req.method = 'POST';
+      req.headers = { 'content-type': 'application/xml' };
+      req.body = new Buffer(opts.xml);
+    } else {
+      req.method = 'GET';
+    }
+  } catch (err) {
+    return callback(this.jenkins._err(err, req));
+  }
+
+  return this.jenkins._request(
+    req,
+    middleware.notFound('credential ' + opts.id),
+    function(ctx, next) {
+      if (ctx.err || opts.xml) return middleware.empty(ctx, next);
+
+      next(false, null, ctx.res.body.toString('utf8'));
+    },
+    callback
+  );
+};
+
+/**
+ * Create credential (from xml or structured credential)
+ */
+
+Credentials.prototype.create = function() {
+  var args = parseArgs(arguments, 'credential');
+  var opts = args.opts;
+  var callback = args.callback;
+
+  if (typeof opts.credential === 'string') {
+    opts.xml = opts.credential;
+    delete opts.credential;
+  }
+
+  this.jenkins._log(['debug', 'credentials', 'create'], logged(opts));
+
+  var req = { name: 'credentials.create' };
+
+  try {
+    var xml = opts.xml || (opts.credential && toXml(opts.credential));
+
+    if (!xml) throw new Error('xml or credential required');
+
+    req.path = '{store}/domain/{domain}/createCredentials';
+    req.params = {
+      store: storePath(opts),
+      domain: opts.domain || '_',
+    };
+    req.headers = { 'content-type': 'application/xml' };
+    req.body = new Buffer(xml);
+  } catch (err) {
+    return callback(this.jenkins._err(err, req));
+  }
+
+  return this.jenkins._post(
+    req,
+    middleware.notFound('domain ' + (opts.domain || '_')),
+    middleware.empty,
+    callback
+  );
+};
+
+/**
+ * Delete credential
+ */
+
+Credentials.prototype.destroy = function() {
+  var args = parseArgs(arguments, 'id');
+  var opts = args.opts;
+  var callback = args.callback;
+
+  this.jenkins._log(['debug', 'credentials', 'destroy'], opts);
+
+  var req = { name: 'credentials.destroy' };
+
+  try {
+    if (!opts.id) throw new Error('id required');
+
+    req.path = '{store}/domain/{domain}/credential/{id}/doDelete';
+    req.params = {
+      store: storePath(opts),
+      domain: opts.domain || '_',
+      id: opts.id,
+    };
+  } catch (err) {
+    return callback(this.jenkins._err(err, req));
+  }
+
+  return this.jenkins._post(
+    req,
+    middleware.notFound('credential ' + opts.id),
+    middleware.require302('failed to delete: ' + opts.id),
+    middleware.empty,
+    callback
+  );
+};
+
+Credentials.prototype['delete'] = Credentials.prototype.destroy;
+
+/**
+ * List domains in store
+ */
+
+Credentials.prototype.domains = function(opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = {};
+  } else {
+    opts = opts || {};
+  }
+
+  this.jenkins._log(['debug', 'credentials', 'domains'], opts);
+
+  var req = {
+    name: 'credentials.domains',
+    path: '{store}/api/json',
+    params: { store: storePath(opts) },
+    query: { depth: 1 },
+  };
+
+  return this.jenkins._get(
+    req,
+    middleware.notFound('credentials store'),
+    function(ctx, next) {
+      if (ctx.err) return next(ctx.err);
+
+      var domains = (ctx.res.body && ctx.res.body.domains) || {};
+
+      // domains are returned keyed by name ("_" is the global domain)
+      next(false, null, Object.keys(domains).map(function(name) {
+        var domain = { name: name };
+
+        Object.keys(domains[name] || {}).forEach(function(key) {
+          domain[key] = domains[name][key];
+        });
+
+        return domain;
+      }));
+    },
+    callback
+  );
+};
+
+/**
+ * Credential details
+ */
+
+Credentials.prototype.get = function() {
+  var args = parseArgs(arguments, 'id');
+  var opts = args.opts;
+  var callback = args.callback;
+
+  this.jenkins._log(['debug', 'credentials', 'get'], opts);
+
+  var req = { name: 'credentials.get' };
+
+  try {
+    if (!opts.id) throw new Error('id required');
+
+    req.path = '{store}/domain/{domain}/credential/{id}/api/json';
+    req.params = {
+      store: storePath(opts),
+      domain: opts.domain || '_',
+      id: opts.id,
+    };
+    req.query = { depth: opts.depth || 0 };
+  } catch (err) {
+    return callback(this.jenkins._err(err, req));
+  }
+
+  return this.jenkins._get(
+    req,
+    middleware.notFound('credential ' + opts.id),
+    middleware.body,
+    callback
+  );
+};
+
+/**
+ * List credentials in domain
+ */
+
+Credentials.prototype.list = function(opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = {};
+  } else {
+    opts = opts || {};
+  }
+
+  this.jenkins._log(['debug', 'credentials', 'list'], opts);
+
+  var req = {
+    name: 'credentials.list',
+    path: '{store}/domain/{domain}/api/json',
+    params: {
+      store: storePath(opts),
+      domain: opts.domain || '_',
+    },
+    query: { depth: 1 },
+  };
+
+  return this.jenkins._get(
+    req,
+    middleware.notFound('domain ' + (opts.domain || '_')),
+    function(ctx, next) {
+      if (ctx.err) return next();
+
+      if (!ctx.res.body || !Array.isArray(ctx.res.body.credentials)) {
+        ctx.err = new Error('returned bad data');
+      }
+
+      next();
+    },
+    middleware.bodyItem('credentials'),
+    callback
+  );
+};
+
+/**
+ * Update credential (from xml or structured credential)
+ */
+
+Credentials.prototype.update = function() {
+  var value = arguments[1];
+  var args;
+
+  // (id, xml|credential, [options], [callback])
+  if (typeof arguments[0] === 'string' &&
+      (typeof value === 'string' || (!!value && typeof value === 'object' && !!value.type))) {
+    args = parseArgs(Array.prototype.slice.call(arguments, 1), 'credential');
+    args.opts.id = arguments[0];
+
+    if (typeof value === 'object') {
+      var credential = { id: arguments[0] };
+
+      Object.keys(value).forEach(function(key) {
+        if (key !== 'id') credential[key] = value[key];
+      });
+
+      args.opts.credential = credential;
+    }
+  } else {
+    args = parseArgs(arguments, 'credential');
+  }
+
+  var opts = args.opts;
+  var callback = args.callback;
+
+  if (typeof opts.credential === 'string') {
+    opts.xml = opts.credential;
+    delete opts.credential;
+  }
+
+  var id = opts.id || (opts.credential && opts.credential.id);
+
+  if (!id) {
+    return callback(this.jenkins._err('id required', { name: 'credentials.update' }));
+  }
+
+  var xml;
+
+  try {
+    xml = opts.xml || (opts.credential && toXml(opts.credential));
+
+    if (!xml) throw new Error('xml or credential required');
+  } catch (err) {
+    return callback(this.jenkins._err(err, { name: 'credentials.update' }));
+  }
+
+  return this.config({
+    id: id,
+    xml: xml,
+    folder: opts.folder,
+    store: opts.store,
+    domain: opts.domain,
+  }, callback);
+};
+
+/**
+ * Promise support
+ */
+
+utils.promisify(Credentials.prototype);
+
+/**
+ * Module exports.
+ */
+
+exports.Credentials = Credentials;
+exports.TYPES = TYPES;
+exports.toXml = toXml;
@@ -0,0 +1,197 @@
+/**
+ * Crumb issuer client (CSRF protection)
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var utils = require('./utils');
+
+/**
+ * Parse session cookie from set-cookie header
+ */
+
+function parseCookie(header) {
+  if (!header) return;
+
+  if (!Array.isArray(header)) header = [header];
+
+  return header.map(function(value) {
+    return value.split(';')[0].trim();
+  }).filter(function(value) {
+    return value;
+  }).join('; ');
+}
+
+/**
+ * Initialize a new `CrumbIssuer` client.
+ */
+
+function CrumbIssuer(jenkins) {
+  this.jenkins = jenkins;
+
+  this._cache = {};
+  this._pending = {};
+}
+
+/**
+ * Get crumb
+ */
+
+CrumbIssuer.prototype.get = function(opts, callback) {
+  var self = this;
+
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = {};
+  } else {
+    opts = opts || {};
+  }
+
+  var key = opts.cookie || '';
+
+  if (self._cache.hasOwnProperty(key)) {
+    return callback(null, self._cache[key]);
+  }
+
+  if (self._pending[key]) {
+    return self._pending[key].push(callback);
+  }
+
+  self._pending[key] = [callback];
+
+  self.jenkins._log(['debug', 'crumbIssuer', 'get'], opts);
+
+  var req = {
+    name: 'crumbIssuer.get',
+    path: '/crumbIssuer/api/json',
+  };
+
+  if (opts.cookie) req.headers = { cookie: opts.cookie };
+
+  self.jenkins._get(
+    req,
+    function(ctx, next) {
+      // crumbs are disabled
+      if (ctx.res && ctx.res.statusCode === 404) {
+        return next(false, null, null);
+      }
+
+      if (ctx.err) return next(ctx.err);
+
+      var body = ctx.res.body || {};
+
+      if (!body.crumbRequestField || !body.crumb) {
+        return next(new Error('returned bad data'));
+      }
+
+      var crumb = {
+        field: body.crumbRequestField,
+        value: body.crumb,
+      };
+
+      // crumbs are bound to the session that requested them
+      var cookie = parseCookie(ctx.res.headers['set-cookie']);
+      if (cookie && !opts.cookie) crumb.cookie = cookie;
+
+      next(false, null, crumb);
+    },
+    function(err, crumb) {
+      var callbacks = self._pending[key];
+      delete self._pending[key];
+
+      if (!err) self._cache[key] = crumb;
+
+      callbacks.forEach(function(callback) {
+        callback(err, crumb);
+      });
+    }
+  );
+};
+
+/**
+ * Clear cached crumbs
+ */
+
+CrumbIssuer.prototype.clear = function(opts) {
+  opts = opts || {};
+
+  if (opts.hasOwnProperty('cookie')) {
+    delete this._cache[opts.cookie || ''];
+  } else {
+    this._cache = {};
+  }
+};
+
+/**
+ * Attach crumb to mutating requests
+ */
+
+CrumbIssuer.prototype._onRequest = function(ctx, next) {
+  var headers = ctx.req.headers;
+
+  if (ctx.opts.method !== 'POST' || ctx.opts.crumb === false) return next();
+
+  // skip crumb when server is known not to require one
+  var capabilities = this.jenkins._capabilities;
+  if (capabilities && !capabilities.crumbRequired) return next();
+
+  var cookie = headers.cookie || '';
+
+  this.get({ cookie: cookie }, function(err, crumb) {
+    if (err) {
+      var crumbErr = new Error('failed to get crumb');
+      crumbErr.res = err.res;
+
+      return next(crumbErr);
+    }
+
+    ctx.state.crumbCookie = cookie;
+
+    if (crumb) {
+      headers[crumb.field.toLowerCase()] = crumb.value;
+      if (crumb.cookie && !headers.cookie) headers.cookie = crumb.cookie;
+
+      ctx.state.crumb = true;
+    }
+
+    next();
+  });
+};
+
+/**
+ * Refresh stale crumbs and retry once
+ */
+
+CrumbIssuer.prototype._onResponse = function(ctx, next) {
+  if (!ctx.state.crumb || ctx.state.crumbRetry) return next();
+  if (!ctx.res || ctx.res.statusCode !== 403) return next();
+
+  if (!/crumb/i.test(String(ctx.res.body || ''))) return next();
+
+  this.clear({ cookie: ctx.state.crumbCookie });
+
+  ctx.state.crumb = false;
+  ctx.state.crumbRetry = true;
+
+  try {
+    ctx.retry();
+  } catch (err) {
+    next();
+  }
+};
+
+/**
+ * Promise support
+ */
+
+utils.promisify(CrumbIssuer.prototype, ['clear']);
+
+/**
+ * Module exports.
+ */
+
+exports.CrumbIssuer = CrumbIssuer;
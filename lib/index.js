@@ -8,6 +8,7 @@
  * Module dependencies.
  */
 
+var Config = require('./config').Config;
 var Jenkins = require('./jenkins').Jenkins;
 
 /**
@@ -15,3 +16,4 @@ var Jenkins = require('./jenkins').Jenkins;
  */
 
 module.exports = Jenkins;
+module.exports.Config = Config;
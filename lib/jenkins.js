@@ -11,11 +11,44 @@
 var papi = require('papi');
 var util = require('util');
 
+var Auth = require('./auth').Auth;
 var Build = require('./build').Build;
+var capabilities = require('./capabilities');
+var CrumbIssuer = require('./crumb').CrumbIssuer;
+var Credentials = require('./credentials').Credentials;
 var Job = require('./job').Job;
 var Node_ = require('./node').Node;
+var resolveComputerName = require('./node').resolveComputerName;
+var Plugin = require('./plugin').Plugin;
 var Queue = require('./queue').Queue;
+var RetryPolicy = require('./retry').RetryPolicy;
+var Sync = require('./sync').Sync;
+var View = require('./view').View;
 var middleware = require('./middleware');
+var utils = require('./utils');
+
+/**
+ * Uncaught script exception (class, message, lines before first frame)
+ */
+
+var SCRIPT_EXCEPTION = new RegExp(
+  '^((?:[a-zA-Z_$][\\w$]*\\.)+[A-Z][\\w$]*(?:Exception|Error))' +
+  '(?::[ \\t]*(.*))?\\r?\\n' +
+  '((?:.*\\r?\\n)*?)\\s+at ',
+  'm'
+);
+
+/**
+ * Connection errors while server is restarting
+ */
+
+var CONNECTION_ERRORS = ['ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'ETIMEDOUT', 'EHOSTUNREACH'];
+
+/**
+ * Default time to wait for server to be ready
+ */
+
+var READY_TIMEOUT = 5 * 60 * 1000;
 
 /**
  * Initialize a new `Jenkins` client.
@@ -56,16 +89,54 @@ function Jenkins(opts) {
 
   papi.Client.call(this, opts);
 
+  // must run before the crumb issuer so crumb requests are authenticated
+  if (opts.auth) {
+    this._auth = new Auth(opts.auth);
+
+    this._ext('onRequest', this._auth._onRequest.bind(this._auth));
+  }
+
+  if (opts.crumbIssuer !== false) {
+    this.crumbIssuer = new CrumbIssuer(this);
+
+    this._ext('onRequest', this.crumbIssuer._onRequest.bind(this.crumbIssuer));
+    this._ext('onResponse', this.crumbIssuer._onResponse.bind(this.crumbIssuer));
+  }
+
   this._ext('onResponse', this._onResponse);
 
+  if (opts.retry) {
+    this.retryPolicy = new RetryPolicy(this, opts.retry === true ? {} : opts.retry);
+
+    this._ext('onResponse', this.retryPolicy._onResponse.bind(this.retryPolicy));
+  }
+
+  this._capabilities = null;
+  this._capabilitiesPending = null;
+
   this.build = new Build(this);
+  this.credentials = new Credentials(this);
   this.job = new Job(this);
   this.node = new Node_(this);
+  this.plugin = new Plugin(this);
   this.queue = new Queue(this);
+  this.view = new View(this);
 }
 
 util.inherits(Jenkins, papi.Client);
 
+/**
+ * Log without credentials
+ */
+
+Jenkins.prototype._log = function() {
+  var args = Array.prototype.slice.call(arguments).map(function(arg) {
+    return utils.redact(arg);
+  });
+
+  return papi.Client.prototype._log.apply(this, args);
+};
+
 /**
  * Handle responses.
  */
@@ -75,6 +146,15 @@ Jenkins.prototype._onResponse = function(ctx, next) {
     if (ctx.res && ctx.res.headers && ctx.res.headers['x-error']) {
       ctx.err.message = ctx.res.headers['x-error'].replace(/\?/g, '"');
     }
+
+    var statusCode = ctx.res && ctx.res.statusCode;
+    var user = ctx.res && ctx.res.headers['x-you-are-authenticated-as'];
+
+    if (user && (statusCode === 401 || statusCode === 403)) {
+      ctx.err.authenticatedAs = user;
+      ctx.err.message += ' (authenticated as ' + user + ')';
+    }
+
     ctx.err.res = ctx.res;
   }
 
@@ -85,19 +165,371 @@ Jenkins.prototype._onResponse = function(ctx, next) {
  * Jenkins info
  */
 
-Jenkins.prototype.info = function(callback) {
-  this._log(['debug', 'info']);
+Jenkins.prototype.info = function(opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = {};
+  } else {
+    opts = opts || {};
+  }
+
+  this._log(['debug', 'info'], opts);
 
   var req = {
     name: 'info',
     path: '/api/json',
+    query: {},
   };
 
+  if (opts.depth) req.query.depth = opts.depth;
+  if (opts.tree) req.query.tree = utils.tree(opts.tree);
+
   return this._get(req, middleware.body, callback);
 };
 
 Jenkins.prototype.get = Jenkins.prototype.info;
 
+/**
+ * Jenkins version (X-Jenkins header)
+ */
+
+Jenkins.prototype.version = function(callback) {
+  this._log(['debug', 'version']);
+
+  var req = {
+    name: 'version',
+    path: '/api/json',
+  };
+
+  return this._head(
+    req,
+    function(ctx, next) {
+      var version = ctx.res && ctx.res.headers['x-jenkins'];
+
+      // header is also sent on auth errors
+      if (version) return next(false, null, version);
+      if (ctx.err) return next(ctx.err);
+
+      next(new Error('version not found'));
+    },
+    callback
+  );
+};
+
+/**
+ * Detect version dependent behavior (cached)
+ */
+
+Jenkins.prototype.capabilities = function(opts, callback) {
+  var self = this;
+
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = {};
+  } else {
+    opts = opts || {};
+  }
+
+  if (self._capabilities && !opts.refresh) {
+    return callback(null, self._capabilities);
+  }
+
+  if (self._capabilitiesPending) {
+    return self._capabilitiesPending.push(callback);
+  }
+
+  self._capabilitiesPending = [callback];
+
+  self._log(['debug', 'capabilities'], opts);
+
+  var req = {
+    name: 'capabilities',
+    path: '/api/json',
+    query: { tree: 'useCrumbs' },
+  };
+
+  self._get(
+    req,
+    function(ctx, next) {
+      if (ctx.err) return next(ctx.err);
+
+      next(false, null, capabilities.detect(ctx.res.headers['x-jenkins'], ctx.res.body));
+    },
+    function(err, data) {
+      var callbacks = self._capabilitiesPending;
+      self._capabilitiesPending = null;
+
+      if (!err) self._capabilities = data;
+
+      callbacks.forEach(function(callback) {
+        callback(err, data);
+      });
+    }
+  );
+};
+
+/**
+ * Post system action
+ */
+
+Jenkins.prototype._action = function(req, check, callback) {
+  this._log(['debug', req.name], req.query);
+
+  return this._post(req, check, middleware.empty, callback);
+};
+
+/**
+ * Cancel quiet down
+ */
+
+Jenkins.prototype.cancelQuietDown = function(callback) {
+  return this._action(
+    { name: 'cancelQuietDown', path: '/cancelQuietDown' },
+    middleware.require302('failed to cancel quiet down'),
+    callback
+  );
+};
+
+/**
+ * Shut down immediately
+ */
+
+Jenkins.prototype.exit = function(callback) {
+  return this._action(
+    { name: 'exit', path: '/exit' },
+    // exit answers "Shutting down" before stopping
+    middleware.requireShutdown('failed to exit', [200]),
+    callback
+  );
+};
+
+/**
+ * Quiet down (stop scheduling new builds)
+ */
+
+Jenkins.prototype.quietDown = function(opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = {};
+  } else if (typeof opts === 'string') {
+    opts = { reason: opts };
+  } else {
+    opts = opts || {};
+  }
+
+  var req = { name: 'quietDown', path: '/quietDown' };
+
+  if (opts.reason) req.query = { reason: opts.reason };
+
+  return this._action(
+    req,
+    middleware.require302('failed to quiet down'),
+    callback
+  );
+};
+
+/**
+ * Reload configuration from disk
+ */
+
+Jenkins.prototype.reload = function(callback) {
+  return this._action(
+    { name: 'reload', path: '/reload' },
+    middleware.requireShutdown('failed to reload'),
+    callback
+  );
+};
+
+/**
+ * Restart immediately
+ */
+
+Jenkins.prototype.restart = function(callback) {
+  return this._action(
+    { name: 'restart', path: '/restart' },
+    middleware.requireShutdown('failed to restart'),
+    callback
+  );
+};
+
+/**
+ * Restart once running builds finish
+ */
+
+Jenkins.prototype.safeRestart = function(callback) {
+  return this._action(
+    { name: 'safeRestart', path: '/safeRestart' },
+    middleware.requireShutdown('failed to restart'),
+    callback
+  );
+};
+
+/**
+ * Run groovy script
+ */
+
+Jenkins.prototype.script = function(opts, callback) {
+  var self = this;
+
+  var arg0 = typeof arguments[0];
+  var arg1 = typeof arguments[1];
+  var arg2 = typeof arguments[2];
+
+  if (arg0 === 'string') {
+    if (arg1 === 'object') {
+      opts = arguments[1];
+      callback = arg2 === 'function' ? arguments[2] : undefined;
+    } else {
+      opts = {};
+      callback = arg1 === 'function' ? arguments[1] : undefined;
+    }
+    opts.script = arguments[0];
+  } else {
+    opts = opts || {};
+  }
+
+  self._log(['debug', 'script'], opts);
+
+  var req = { name: 'script' };
+
+  try {
+    if (!opts.script) throw new Error('script required');
+
+    req.type = 'form';
+    req.body = { script: opts.script };
+  } catch (err) {
+    return callback(self._err(err, req));
+  }
+
+  var run = function() {
+    self._post(
+      req,
+      middleware.notFound(opts.node ? 'node ' + opts.node : 'script console'),
+      function(ctx, next) {
+        if (ctx.err) return next(ctx.err);
+
+        var output = ctx.res.body ? ctx.res.body.toString('utf8') : '';
+
+        // uncaught exceptions are returned as a stack trace, compile errors
+        // list the failures between the exception and the first frame
+        var match = output.match(SCRIPT_EXCEPTION);
+
+        if (match) {
+          var message = match[2] || '';
+          var detail = match[3].split(/\r?\n/)[0].trim();
+
+          // ex: startup failed: Script1.groovy: 1: unable to resolve class
+          if (detail && (!message || /:$/.test(message))) {
+            message = message ? message + ' ' + detail : detail;
+          }
+
+          var err = new Error('script failed: ' + match[1] + (message ? ': ' + message : ''));
+          err.exception = match[1];
+          err.output = output;
+          err.res = ctx.res;
+
+          return next(err);
+        }
+
+        next(false, null, output);
+      },
+      callback
+    );
+  };
+
+  if (!opts.node) {
+    req.path = '/scriptText';
+
+    return run();
+  }
+
+  resolveComputerName(self, opts.node, function(err, name) {
+    if (err) return callback(err);
+
+    req.path = '/computer/{name}/scriptText';
+    req.params = { name: name };
+
+    run();
+  });
+};
+
+/**
+ * Sync jobs with desired configs (map of name to xml or directory path)
+ */
+
+Jenkins.prototype.sync = function(desired, opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = {};
+  } else {
+    opts = opts || {};
+  }
+
+  this._log(['debug', 'sync'], {
+    desired: typeof desired === 'string' ? desired : Object.keys(desired || {}),
+    opts: opts,
+  });
+
+  new Sync(this, opts).run(desired, callback);
+};
+
+/**
+ * Wait until server is up and ready (ex: after restart)
+ */
+
+Jenkins.prototype.waitUntilReady = function(opts, callback) {
+  var self = this;
+
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = {};
+  } else {
+    opts = opts || {};
+  }
+
+  // delay is the deprecated name of pollInterval
+  var pollInterval = opts.pollInterval || opts.delay || 1000;
+  var timeout = opts.timeout || READY_TIMEOUT;
+  var started = Date.now();
+
+  self._log(['debug', 'waitUntilReady'], opts);
+
+  var req = {
+    name: 'waitUntilReady',
+    path: '/api/json',
+  };
+
+  var poll = function() {
+    self._get(req, middleware.body, function(err, data) {
+      if (!err) return callback(null, data);
+
+      // connection dropped or refused, or "Jenkins is getting ready" page
+      var starting = err.res ?
+        err.res.statusCode === 503 :
+        CONNECTION_ERRORS.indexOf(err.code) !== -1;
+
+      if (!starting) return callback(err);
+
+      if (Date.now() - started + pollInterval > timeout) {
+        var timeoutErr = self._err('timed out (' + timeout + 'ms)', req);
+        timeoutErr.timeout = true;
+
+        return callback(timeoutErr);
+      }
+
+      setTimeout(poll, pollInterval);
+    });
+  };
+
+  poll();
+};
+
+/**
+ * Promise support
+ */
+
+utils.promisify(Jenkins.prototype);
+
 /**
  * Module exports.
  */
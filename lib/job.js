@@ -8,7 +8,193 @@
  * Module dependencies.
  */
 
+var path = require('path');
+
+var BuildStream = require('./build_stream').BuildStream;
+var BuildWaiter = require('./build_waiter').BuildWaiter;
+var Config = require('./config').Config;
+var checkConflict = require('./config').checkConflict;
+var updateConfig = require('./config').update;
 var middleware = require('./middleware');
+var multipart = require('./multipart');
+var parameterType = require('./config').parameterType;
+var utils = require('./utils');
+
+/**
+ * Tree for parameter definitions
+ */
+
+var PARAMETERS_TREE = 'property[parameterDefinitions[name,type,description,choices,' +
+  'defaultParameterValue[value]]]';
+
+/**
+ * Build trigger endpoints
+ */
+
+var ENDPOINTS = ['build', 'buildWithParameters'];
+
+/**
+ * Boolean parameter values
+ */
+
+var BOOLEAN_VALUES = {
+  'true': true,
+  'false': false,
+  1: true,
+  0: false,
+  yes: true,
+  no: false,
+  on: true,
+  off: false,
+};
+
+/**
+ * Check if job is a folder (or other job container)
+ */
+
+function isFolder(job) {
+  return /(Folder|MultiBranchProject)$/.test(job._class || '');
+}
+
+/**
+ * Convert parameter definition from api (same format as `Config.parameters`)
+ */
+
+function parameterDefinition(def) {
+  var param = {
+    type: parameterType(def._class || 'hudson.model.' + def.type),
+    name: def.name,
+  };
+
+  if (typeof def.description === 'string') param.description = def.description;
+  if (Array.isArray(def.choices)) param.choices = def.choices;
+
+  if (def.defaultParameterValue && def.defaultParameterValue.value !== undefined) {
+    param.defaultValue = def.defaultParameterValue.value;
+  }
+
+  return param;
+}
+
+/**
+ * Copy of build options safe for logging (without file contents)
+ */
+
+function loggedBuild(opts) {
+  if (!opts.parameters) return opts;
+
+  var result = {};
+  var parameters = {};
+
+  Object.keys(opts).forEach(function(key) {
+    result[key] = opts[key];
+  });
+
+  Object.keys(opts.parameters).forEach(function(name) {
+    var value = opts.parameters[name];
+
+    parameters[name] = multipart.isFile(value) ? '[file]' : value;
+  });
+
+  result.parameters = parameters;
+
+  return result;
+}
+
+/**
+ * Parameters for /build (json parameter array, files are sent as separate parts)
+ */
+
+function buildParameters(parameters) {
+  var json = { parameter: [] };
+  var files = [];
+
+  Object.keys(parameters).forEach(function(name) {
+    var value = parameters[name];
+
+    if (!multipart.isFile(value)) {
+      return json.parameter.push({ name: name, value: String(value) });
+    }
+
+    var content = value.content || value;
+    var field = 'file' + files.length;
+
+    json.parameter.push({ name: name, file: field });
+
+    files.push({
+      name: field,
+      content: content,
+      filename: value.filename ||
+        (typeof content.path === 'string' ? path.basename(content.path) : name),
+      contentType: value.contentType,
+    });
+  });
+
+  return { json: JSON.stringify(json), files: files };
+}
+
+/**
+ * Validate parameters against definitions (returns coerced values)
+ */
+
+function validateParameters(definitions, parameters) {
+  var byName = {};
+  var values = {};
+  var problems = [];
+
+  definitions.forEach(function(def) {
+    byName[def.name] = def;
+  });
+
+  Object.keys(parameters).forEach(function(name) {
+    var def = byName[name];
+    var value = parameters[name];
+
+    if (!def) {
+      var message = 'unknown parameter ' + name;
+
+      var similar = definitions.filter(function(def) {
+        return def.name.toLowerCase() === name.toLowerCase();
+      })[0];
+      if (similar) message += ' (did you mean ' + similar.name + '?)';
+
+      return problems.push({ name: name, message: message });
+    }
+
+    if (def.type === 'boolean') {
+      var key = String(value).toLowerCase();
+
+      if (!BOOLEAN_VALUES.hasOwnProperty(key)) {
+        return problems.push({
+          name: name,
+          message: 'invalid boolean for ' + name + ': ' + value,
+        });
+      }
+
+      value = BOOLEAN_VALUES[key] ? 'true' : 'false';
+    } else if (def.type === 'choice' && def.choices &&
+               def.choices.indexOf(String(value)) === -1) {
+      return problems.push({
+        name: name,
+        message: 'invalid choice for ' + name + ': ' + value +
+          ' (expected one of: ' + def.choices.join(', ') + ')',
+      });
+    }
+
+    values[name] = value;
+  });
+
+  if (problems.length) {
+    var err = new Error('invalid parameters: ' + problems.map(function(problem) {
+      return problem.message;
+    }).join(', '));
+    err.parameters = problems;
+
+    throw err;
+  }
+
+  return values;
+}
 
 /**
  * Initialize a new `Job` client.
@@ -27,7 +213,7 @@ Job.prototype.build = function(opts, callback) {
   var arg1 = typeof arguments[1];
   var arg2 = typeof arguments[2];
 
-  if (arg0 === 'string') {
+  if (arg0 === 'string' || Array.isArray(arguments[0])) {
     if (arg1 === 'object') {
       opts = arguments[1];
       callback = arg2 === 'function' ? arguments[2] : undefined;
@@ -40,35 +226,198 @@ Job.prototype.build = function(opts, callback) {
 
   opts = opts || {};
 
-  this.jenkins._log(['debug', 'job', 'build'], opts);
+  this.jenkins._log(['debug', 'job', 'build'], loggedBuild(opts));
 
+  var self = this;
   var req = { name: 'job.build' };
+  var parameters = opts.parameters;
+  var endpoint = opts.endpoint || (parameters ? 'buildWithParameters' : 'build');
+
+  var hasFiles = !!parameters && Object.keys(parameters).some(function(name) {
+    return multipart.isFile(parameters[name]);
+  });
 
   try {
     if (!opts.name) throw new Error('name required');
+    if (ENDPOINTS.indexOf(endpoint) === -1) throw new Error('invalid endpoint: ' + endpoint);
+
+    if (hasFiles && opts.endpoint === 'buildWithParameters') {
+      throw new Error('file parameters require build endpoint');
+    }
 
-    req.path = '/job/{name}/build';
-    req.params = { name: opts.name };
+    req.params = { folder: utils.FolderPath(opts.name).path() };
     req.query = {};
+  } catch (err) {
+    return callback(self.jenkins._err(err, req));
+  }
+
+  if (opts.validate && parameters) {
+    return self.parameters(opts.name, function(err, definitions) {
+      if (err) return callback(err);
+
+      var buildOpts = {};
+
+      Object.keys(opts).forEach(function(key) {
+        buildOpts[key] = opts[key];
+      });
+
+      try {
+        buildOpts.parameters = validateParameters(definitions, parameters);
+      } catch (err) {
+        return callback(self.jenkins._err(err, req));
+      }
+
+      buildOpts.validate = false;
 
-    if (opts.parameters) {
-      req.path += 'WithParameters';
-      req.query = opts.parameters;
+      self.build(buildOpts, callback);
+    });
+  }
+
+  // file parameters are only supported by /build
+  if (hasFiles) endpoint = 'build';
+
+  req.path = '{folder}/' + endpoint;
+
+  if (parameters && endpoint === 'build') {
+    var values = buildParameters(parameters);
+
+    if (hasFiles) {
+      var form = multipart.encode([{ name: 'json', value: values.json }].concat(values.files));
+
+      req.headers = { 'content-type': form.contentType };
+      req.body = form.body;
+    } else {
+      req.type = 'form';
+      req.body = { json: values.json };
     }
+  } else if (parameters && opts.form) {
+    req.type = 'form';
+    req.body = parameters;
+  } else if (parameters) {
+    Object.keys(parameters).forEach(function(name) {
+      req.query[name] = parameters[name];
+    });
+  }
 
-    if (opts.token) req.query.token = opts.token;
-  } catch (err) {
-    return callback(this.jenkins._err(err, req));
+  if (opts.delay !== undefined) {
+    req.query.delay = typeof opts.delay === 'number' ? opts.delay + 'sec' : opts.delay;
   }
+  if (opts.cause) req.query.cause = opts.cause;
+  if (opts.token) req.query.token = opts.token;
 
-  return this.jenkins._post(
+  if (req.body && typeof req.body.on === 'function') {
+    var streamErr;
+
+    // report file read errors instead of the resulting bad request
+    req.body.on('error', function(err) {
+      streamErr = streamErr || err;
+    });
+
+    var done = callback;
+
+    callback = function(err, result) {
+      if (streamErr) return done(self.jenkins._err(streamErr, req));
+
+      done(err, result);
+    };
+  }
+
+  var responseDate;
+
+  return self.jenkins._post(
     req,
+    function(ctx, next) {
+      if (ctx.res && ctx.res.headers.date) responseDate = Date.parse(ctx.res.headers.date);
+
+      next();
+    },
     middleware.notFound(opts.name),
     middleware.queueLocation,
-    callback
+    function(err, result) {
+      if (err || !opts.checkMerged) return callback(err, result);
+
+      self.jenkins.queue.item(result.queueNumber, function(err, item) {
+        // items queued before this request (date header has second precision)
+        // are existing items the build was merged into
+        if (err || !item.inQueueSince || !responseDate) {
+          result.merged = null;
+        } else {
+          result.merged = item.inQueueSince < responseDate - 1000;
+        }
+
+        callback(null, result);
+      });
+    }
   );
 };
 
+/**
+ * Trigger job build and wait for it to finish
+ */
+
+Job.prototype.buildAndWait = function(opts, callback) {
+  var arg0 = typeof arguments[0];
+  var arg1 = typeof arguments[1];
+  var arg2 = typeof arguments[2];
+
+  if (arg0 === 'string' || Array.isArray(arguments[0])) {
+    if (arg1 === 'object') {
+      opts = arguments[1];
+      callback = arg2 === 'function' ? arguments[2] : undefined;
+    } else {
+      opts = {};
+      callback = arg1 === 'function' ? arguments[1] : undefined;
+    }
+    opts.name = arguments[0];
+  }
+
+  opts = opts || {};
+
+  this.jenkins._log(['debug', 'job', 'buildAndWait'], opts);
+
+  var waiter = new BuildWaiter(this.jenkins, {
+    name: opts.name,
+    pollInterval: opts.pollInterval,
+    timeout: opts.timeout,
+  }, callback);
+
+  this.build({
+    name: opts.name,
+    parameters: opts.parameters,
+    cause: opts.cause,
+    delay: opts.delay,
+    endpoint: opts.endpoint,
+    form: opts.form,
+    token: opts.token,
+    validate: opts.validate,
+  }, function(err, result) {
+    if (err) return waiter._finish(err);
+
+    waiter._start(result.queueNumber);
+  });
+
+  return waiter;
+};
+
+/**
+ * Build history stream (pages through allBuilds)
+ */
+
+Job.prototype.builds = function(opts) {
+  if (typeof opts === 'string' || Array.isArray(opts)) {
+    opts = arguments[1] || {};
+    opts.name = arguments[0];
+  } else {
+    opts = opts || {};
+  }
+
+  this.jenkins._log(['debug', 'job', 'builds'], opts);
+
+  if (!opts.name) throw this.jenkins._err('name required', { name: 'job.builds' });
+
+  return new BuildStream(this.jenkins, opts);
+};
+
 /**
  * Get or update config
  */
@@ -78,9 +427,9 @@ Job.prototype.config = function(opts, callback) {
   var arg1 = typeof arguments[1];
   var arg2 = typeof arguments[2];
 
-  if (arg0 === 'string') {
+  if (arg0 === 'string' || Array.isArray(arguments[0])) {
     opts = { name: arguments[0] };
-    if (arg1 === 'string') {
+    if (arg1 === 'string' || arguments[1] instanceof Config) {
       opts.xml = arguments[1];
       callback = arg2 === 'function' ? arguments[2] : undefined;
     } else {
@@ -97,13 +446,13 @@ Job.prototype.config = function(opts, callback) {
   try {
     if (!opts.name) throw new Error('name required');
 
-    req.path = '/job/{name}/config.xml';
-    req.params = { name: opts.name };
+    req.path = '{folder}/config.xml';
+    req.params = { folder: utils.FolderPath(opts.name).path() };
 
     if (opts.xml) {
       req.method = 'POST';
       req.headers = { 'content-type': 'text/xml' };
-      req.body = new Buffer(opts.xml);
+      req.body = new Buffer(opts.xml.toString());
     } else {
       req.method = 'GET';
     }
@@ -111,13 +460,33 @@ Job.prototype.config = function(opts, callback) {
     return callback(this.jenkins._err(err, req));
   }
 
+  if (opts.xml && (opts.previous || opts.previousHash)) {
+    var self = this;
+
+    return checkConflict(self, 'job.config', opts, function(err) {
+      if (err) return callback(err);
+
+      self.config({ name: opts.name, xml: opts.xml }, callback);
+    });
+  }
+
   return this.jenkins._request(
     req,
     middleware.notFound('build ' + opts.name),
     function(ctx, next) {
       if (ctx.err || opts.xml) return middleware.empty(ctx, next);
 
-      next(false, null, ctx.res.body.toString('utf8'));
+      var value = ctx.res.body.toString('utf8');
+
+      if (opts.model) {
+        try {
+          value = new Config(value);
+        } catch (err) {
+          return next(err);
+        }
+      }
+
+      next(false, null, value);
     },
     callback
   );
@@ -132,7 +501,8 @@ Job.prototype.copy = function(opts, callback) {
   var arg1 = typeof arguments[1];
   var arg2 = typeof arguments[2];
 
-  if (arg0 === 'string' && arg1 === 'string') {
+  if ((arg0 === 'string' || Array.isArray(arguments[0])) &&
+      (arg1 === 'string' || Array.isArray(arguments[1]))) {
     opts = {
       from: arguments[0],
       name: arguments[1],
@@ -150,11 +520,15 @@ Job.prototype.copy = function(opts, callback) {
     if (!opts.name) throw new Error('name required');
     if (!opts.from) throw new Error('from required');
 
-    req.path = '/createItem';
+    var folder = utils.FolderPath(opts.name);
+
+    req.path = '{folder}/createItem';
+    req.params = { folder: folder.parent().path() };
     req.headers = { 'content-type': 'text/xml' };
     req.query = {
-      name: opts.name,
-      from: opts.from,
+      name: folder.name(),
+      // absolute, otherwise resolved relative to the target folder first
+      from: '/' + utils.FolderPath(opts.from).toString(),
       mode: 'copy',
     };
   } catch (err) {
@@ -178,7 +552,7 @@ Job.prototype.create = function(opts, callback) {
   var arg1 = typeof arguments[1];
   var arg2 = typeof arguments[2];
 
-  if (arg0 === 'string' && arg1 === 'string') {
+  if ((arg0 === 'string' || Array.isArray(arguments[0])) && arg1 === 'string') {
     opts = {
       name: arguments[0],
       xml: arguments[1],
@@ -196,9 +570,12 @@ Job.prototype.create = function(opts, callback) {
     if (!opts.name) throw new Error('name required');
     if (!opts.xml) throw new Error('xml required');
 
-    req.path = '/createItem';
+    var folder = utils.FolderPath(opts.name);
+
+    req.path = '{folder}/createItem';
+    req.params = { folder: folder.parent().path() };
     req.headers = { 'content-type': 'text/xml' };
-    req.query = { name: opts.name };
+    req.query = { name: folder.name() };
     req.body = new Buffer(opts.xml);
   } catch (err) {
     return callback(this.jenkins._err(err, req));
@@ -212,7 +589,7 @@ Job.prototype.create = function(opts, callback) {
  */
 
 Job.prototype.destroy = function(opts, callback) {
-  if (typeof opts === 'string') {
+  if (typeof opts === 'string' || Array.isArray(opts)) {
     opts = { name: opts };
   } else {
     opts = opts || {};
@@ -225,8 +602,8 @@ Job.prototype.destroy = function(opts, callback) {
   try {
     if (!opts.name) throw new Error('name required');
 
-    req.path = '/job/{name}/doDelete';
-    req.params = { name: opts.name };
+    req.path = '{folder}/doDelete';
+    req.params = { folder: utils.FolderPath(opts.name).path() };
   } catch (err) {
     return callback(this.jenkins._err(err, req));
   }
@@ -247,7 +624,7 @@ Job.prototype['delete'] = Job.prototype.destroy;
  */
 
 Job.prototype.disable = function(opts, callback) {
-  if (typeof opts === 'string') {
+  if (typeof opts === 'string' || Array.isArray(opts)) {
     opts = { name: opts };
   } else {
     opts = opts || {};
@@ -260,8 +637,8 @@ Job.prototype.disable = function(opts, callback) {
   try {
     if (!opts.name) throw new Error('name required');
 
-    req.path = '/job/{name}/disable';
-    req.params = { name: opts.name };
+    req.path = '{folder}/disable';
+    req.params = { folder: utils.FolderPath(opts.name).path() };
   } catch (err) {
     return callback(this.jenkins._err(err, req));
   }
@@ -280,7 +657,7 @@ Job.prototype.disable = function(opts, callback) {
  */
 
 Job.prototype.enable = function(opts, callback) {
-  if (typeof opts === 'string') {
+  if (typeof opts === 'string' || Array.isArray(opts)) {
     opts = { name: opts };
   } else {
     opts = opts || {};
@@ -293,8 +670,8 @@ Job.prototype.enable = function(opts, callback) {
   try {
     if (!opts.name) throw new Error('name required');
 
-    req.path = '/job/{name}/enable';
-    req.params = { name: opts.name };
+    req.path = '{folder}/enable';
+    req.params = { folder: utils.FolderPath(opts.name).path() };
   } catch (err) {
     return callback(this.jenkins._err(err, req));
   }
@@ -313,7 +690,7 @@ Job.prototype.enable = function(opts, callback) {
  */
 
 Job.prototype.exists = function(opts, callback) {
-  if (typeof opts === 'string') {
+  if (typeof opts === 'string' || Array.isArray(opts)) {
     opts = { name: opts };
   } else {
     opts = opts || {};
@@ -328,8 +705,8 @@ Job.prototype.exists = function(opts, callback) {
   try {
     if (!opts.name) throw new Error('name required');
 
-    req.path = '/job/{name}/api/json';
-    req.params = { name: opts.name };
+    req.path = '{folder}/api/json';
+    req.params = { folder: utils.FolderPath(opts.name).path() };
     req.query = { depth: opts.depth };
   } catch (err) {
     return callback(this.jenkins._err(err, req));
@@ -347,7 +724,7 @@ Job.prototype.get = function(opts, callback) {
   var arg1 = typeof arguments[1];
   var arg2 = typeof arguments[2];
 
-  if (arg0 === 'string') {
+  if (arg0 === 'string' || Array.isArray(arguments[0])) {
     if (arg1 === 'object') {
       opts = arguments[1];
       callback = arg2 === 'function' ? arguments[2] : undefined;
@@ -369,9 +746,11 @@ Job.prototype.get = function(opts, callback) {
   try {
     if (!opts.name) throw new Error('name required');
 
-    req.path = '/job/{name}/api/json';
-    req.params = { name: opts.name };
+    req.path = '{folder}/api/json';
+    req.params = { folder: utils.FolderPath(opts.name).path() };
     req.query = { depth: opts.depth };
+
+    if (opts.tree) req.query.tree = utils.tree(opts.tree);
   } catch (err) {
     return callback(this.jenkins._err(err, req));
   }
@@ -389,21 +768,41 @@ Job.prototype.get = function(opts, callback) {
  */
 
 Job.prototype.list = function(opts, callback) {
+  var self = this;
+
   if (typeof opts === 'function') {
     callback = opts;
     opts = {};
+  } else if (typeof opts === 'string' || Array.isArray(opts)) {
+    opts = { folder: opts };
   } else {
     opts = opts || {};
   }
 
-  this.jenkins._log(['debug', 'job', 'list'], opts);
+  self.jenkins._log(['debug', 'job', 'list'], opts);
+
+  var folder = utils.FolderPath(opts.folder);
 
   var req = {
     name: 'job.list',
-    path: '/api/json',
+    path: '{folder}/api/json',
+    params: { folder: folder.path() },
   };
 
-  return this.jenkins._get(
+  // tree applies to each job, name and class are needed for full names and
+  // to walk folders
+  if (opts.tree) {
+    var fields = utils.treeFields(opts.tree);
+
+    if ((opts.recursive || !folder.isEmpty()) && fields.indexOf('name') === -1) {
+      fields.push('name');
+    }
+    if (opts.recursive && fields.indexOf('_class') === -1) fields.push('_class');
+
+    req.query = { tree: utils.tree({ jobs: fields }) };
+  }
+
+  self.jenkins._get(
     req,
     function(ctx, next) {
       if (ctx.err) return next();
@@ -415,10 +814,195 @@ Job.prototype.list = function(opts, callback) {
       next();
     },
     middleware.bodyItem('jobs'),
-    callback
+    function(err, jobs) {
+      if (err) return callback(err);
+
+      if (folder.isEmpty() && !opts.recursive) return callback(null, jobs);
+
+      jobs.forEach(function(job) {
+        job.fullName = utils.FolderPath(folder.value.concat(job.name)).toString();
+      });
+
+      if (!opts.recursive) return callback(null, jobs);
+
+      var folders = jobs.filter(isFolder);
+      var result = jobs.slice();
+
+      var walk = function(err, children) {
+        if (err) return callback(err);
+
+        if (children) result.push.apply(result, children);
+
+        var job = folders.shift();
+        if (!job) return callback(null, result);
+
+        self.list({ folder: job.fullName, recursive: true, tree: opts.tree }, walk);
+      };
+
+      walk();
+    }
+  );
+};
+
+/**
+ * Move job to another folder (keeps build history)
+ */
+
+Job.prototype.move = function(opts, callback) {
+  var arg0 = typeof arguments[0];
+  var arg1 = typeof arguments[1];
+  var arg2 = typeof arguments[2];
+
+  if ((arg0 === 'string' || Array.isArray(arguments[0])) &&
+      (arg1 === 'string' || Array.isArray(arguments[1]))) {
+    opts = {
+      name: arguments[0],
+      destination: arguments[1],
+    };
+    callback = arg2 === 'function' ? arguments[2] : undefined;
+  }
+
+  opts = opts || {};
+
+  this.jenkins._log(['debug', 'job', 'move'], opts);
+
+  var req = { name: 'job.move' };
+  var name = utils.FolderPath(opts.name);
+  var destination = utils.FolderPath(opts.destination);
+
+  try {
+    if (!opts.name) throw new Error('name required');
+    if (opts.destination === undefined || opts.destination === null) {
+      throw new Error('destination required');
+    }
+
+    req.path = '{folder}/move/move';
+    req.params = { folder: name.path() };
+    req.type = 'form';
+    req.body = {
+      destination: '/' + destination.toString(),
+      json: JSON.stringify({ destination: '/' + destination.toString() }),
+    };
+  } catch (err) {
+    return callback(this.jenkins._err(err, req));
+  }
+
+  return this.jenkins._post(
+    req,
+    middleware.notFound(opts.name),
+    middleware.require302('failed to move: ' + opts.name),
+    middleware.empty,
+    function(err) {
+      if (err) return callback(err);
+
+      callback(null, utils.FolderPath(destination.value.concat(name.name())).toString());
+    }
   );
 };
 
+/**
+ * Job parameter definitions
+ */
+
+Job.prototype.parameters = function(opts, callback) {
+  var self = this;
+
+  if (typeof opts === 'string' || Array.isArray(opts)) opts = { name: opts };
+
+  opts = opts || {};
+
+  self.jenkins._log(['debug', 'job', 'parameters'], opts);
+
+  if (!opts.name) {
+    return callback(self.jenkins._err('name required', { name: 'job.parameters' }));
+  }
+
+  self.get({ name: opts.name, tree: PARAMETERS_TREE }, function(err, job) {
+    if (err) return callback(err);
+
+    var definitions = [];
+
+    (job.property || []).forEach(function(property) {
+      (property && property.parameterDefinitions || []).forEach(function(def) {
+        definitions.push(parameterDefinition(def));
+      });
+    });
+
+    callback(null, definitions);
+  });
+};
+
+/**
+ * Rename job (keeps build history)
+ */
+
+Job.prototype.rename = function(opts, callback) {
+  var arg0 = typeof arguments[0];
+  var arg1 = typeof arguments[1];
+  var arg2 = typeof arguments[2];
+
+  if ((arg0 === 'string' || Array.isArray(arguments[0])) && arg1 === 'string') {
+    opts = {
+      name: arguments[0],
+      newName: arguments[1],
+    };
+    callback = arg2 === 'function' ? arguments[2] : undefined;
+  }
+
+  opts = opts || {};
+
+  this.jenkins._log(['debug', 'job', 'rename'], opts);
+
+  var req = { name: 'job.rename' };
+  var name = utils.FolderPath(opts.name);
+
+  try {
+    if (!opts.name) throw new Error('name required');
+    if (!opts.newName) throw new Error('newName required');
+    if (opts.newName.indexOf('/') !== -1) {
+      throw new Error('newName must not contain "/", use move');
+    }
+
+    req.path = '{folder}/doRename';
+    req.params = { folder: name.path() };
+    req.query = { newName: opts.newName };
+  } catch (err) {
+    return callback(this.jenkins._err(err, req));
+  }
+
+  return this.jenkins._post(
+    req,
+    middleware.notFound(opts.name),
+    middleware.require302('failed to rename: ' + opts.name),
+    middleware.empty,
+    function(err) {
+      if (err) return callback(err);
+
+      callback(null, utils.FolderPath(name.parent().value.concat(opts.newName)).toString());
+    }
+  );
+};
+
+/**
+ * Update config using mutator (get, modify and post)
+ */
+
+Job.prototype.updateConfig = function(opts, mutator, callback) {
+  if (typeof opts === 'string' || Array.isArray(opts)) opts = { name: opts };
+
+  opts = opts || {};
+
+  this.jenkins._log(['debug', 'job', 'updateConfig'], opts);
+
+  return updateConfig(this, 'job.updateConfig', opts, mutator, callback);
+};
+
+/**
+ * Promise support
+ */
+
+utils.promisify(Job.prototype, ['buildAndWait', 'builds', 'updateConfig']);
+
 /**
  * Module exports.
  */
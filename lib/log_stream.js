@@ -0,0 +1,139 @@
+/**
+ * Progressive build log stream
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var stream = require('stream');
+var util = require('util');
+
+var middleware = require('./middleware');
+var utils = require('./utils');
+
+/**
+ * Initialize a new `LogStream`.
+ */
+
+function LogStream(jenkins, opts) {
+  stream.Readable.call(this, { encoding: 'utf8' });
+
+  this._jenkins = jenkins;
+
+  this._opts = opts;
+  // delay is the deprecated name of pollInterval
+  this._opts.pollInterval = opts.pollInterval || opts.delay || 1000;
+  this._opts.type = opts.type || 'text';
+
+  this._start = opts.start || 0;
+  this._active = false;
+  this._ended = false;
+}
+
+util.inherits(LogStream, stream.Readable);
+
+/**
+ * Start or resume polling
+ */
+
+LogStream.prototype._read = function() {
+  if (this._active || this._ended) return;
+
+  this._active = true;
+  this._fetch();
+};
+
+/**
+ * Fetch next chunk of log
+ */
+
+LogStream.prototype._fetch = function() {
+  var self = this;
+
+  var opts = self._opts;
+
+  var req = {
+    name: 'build.logStream',
+    path: '{folder}/{number}/logText/' +
+      (opts.type === 'html' ? 'progressiveHtml' : 'progressiveText'),
+    params: {
+      folder: utils.FolderPath(opts.name).path(),
+      number: opts.number,
+    },
+    query: { start: self._start },
+    buffer: true,
+  };
+
+  if (self._annotator) {
+    req.headers = { 'x-consoleannotator': self._annotator };
+  }
+
+  self._jenkins._get(
+    req,
+    middleware.notFound(opts.name + ' ' + opts.number),
+    function(err, res) {
+      if (self._ended) return;
+
+      if (err) {
+        self._ended = true;
+        return self.emit('error', err);
+      }
+
+      var size = parseInt(res.headers['x-text-size'], 10);
+      if (!isNaN(size)) self._start = size;
+
+      if (res.headers['x-consoleannotator']) {
+        self._annotator = res.headers['x-consoleannotator'];
+      }
+
+      var more = res.headers['x-more-data'] === 'true';
+      var ok = true;
+
+      if (res.body && res.body.length) {
+        ok = self.push(res.body.toString('utf8'));
+      }
+
+      if (!more) {
+        self._ended = true;
+        return self.push(null);
+      }
+
+      // wait for consumer to ask for more
+      if (!ok) {
+        self._active = false;
+        return;
+      }
+
+      self._timer = setTimeout(function() {
+        self._timer = null;
+        self._fetch();
+      }, opts.pollInterval);
+    }
+  );
+};
+
+/**
+ * Stop polling
+ */
+
+LogStream.prototype.end = function() {
+  if (this._ended) return;
+
+  this._ended = true;
+
+  if (this._timer) {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  this.push(null);
+};
+
+/**
+ * Module exports.
+ */
+
+exports.LogStream = LogStream;
@@ -63,6 +63,7 @@ function require302(message) {
         if (!ctx.res.headers['x-error']) ctx.err.message = message;
       } else {
         ctx.err = new Error(message);
+        ctx.err.res = ctx.res;
       }
 
       return next(ctx.err);
@@ -72,6 +73,29 @@ function require302(message) {
   };
 }
 
+/**
+ * Require 302, 503 (or other status codes), dropped connection (server going
+ * down) or error
+ */
+
+function requireShutdown(message, statusCodes) {
+  var require302_ = require302(message);
+
+  statusCodes = [302, 503].concat(statusCodes || []);
+
+  return function(ctx, next) {
+    if (ctx.res && statusCodes.indexOf(ctx.res.statusCode) !== -1) {
+      return next(false);
+    }
+
+    if (ctx.err && !ctx.res && ctx.err.code === 'ECONNRESET') {
+      return next(false);
+    }
+
+    require302_(ctx, next);
+  };
+}
+
 /**
  * Not found
  */
@@ -81,6 +105,7 @@ function notFound(value) {
     if (ctx.res && ctx.res.statusCode === 404) {
       var err = new Error(value + ' not found');
       err.notFound = true;
+      err.res = ctx.res;
 
       return next(err);
     }
@@ -90,22 +115,29 @@ function notFound(value) {
 }
 
 /**
- * Queue location
+ * Queue number and location of triggered build
  */
 
 function queueLocation(ctx, next) {
-  if (ctx.err) return next(ctx.err);
+  var redirect = ctx.res && (ctx.res.statusCode === 302 || ctx.res.statusCode === 303);
+
+  if (ctx.err && !redirect) return next(ctx.err);
+
+  // jenkins redirects to the job when nothing was queued
+  var location = ctx.res.headers.location || '';
+  var match = redirect ? null : location.match(/\/queue\/item\/(\d+)\/?$/);
 
-  try {
-    // Get queue number from location header
-    var parts = ctx.res.headers.location.split('/');
+  if (!match) {
+    var err = new Error(redirect ? 'build not queued' : 'queue location not found');
+    err.res = ctx.res;
 
-    return next(false, null, parseInt(parts[parts.length - 2], 10));
-  } catch (err) {
-    // ignore errors
+    return next(err);
   }
 
-  next();
+  next(false, null, {
+    queueNumber: parseInt(match[1], 10),
+    location: location,
+  });
 }
 
 /**
@@ -119,3 +151,4 @@ exports.exists = exists;
 exports.notFound = notFound;
 exports.queueLocation = queueLocation;
 exports.require302 = require302;
+exports.requireShutdown = requireShutdown;
@@ -0,0 +1,119 @@
+/**
+ * Multipart form data encoding
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var crypto = require('crypto');
+var stream = require('stream');
+
+/**
+ * Check if value is a readable stream
+ */
+
+function isStream(value) {
+  return value instanceof stream.Readable;
+}
+
+/**
+ * Check if value is file content (buffer, stream or { content } object)
+ */
+
+function isFile(value) {
+  if (Buffer.isBuffer(value) || isStream(value)) return true;
+
+  return !!value && typeof value === 'object' &&
+    (Buffer.isBuffer(value.content) || isStream(value.content));
+}
+
+/**
+ * Escape quoted header value
+ */
+
+function quote(value) {
+  return String(value).replace(/"/g, '%22').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Encode fields (ex: [{ name, value }, { name, content, filename, contentType }])
+ *
+ * Returns a buffer when no field content is a stream.
+ */
+
+function encode(fields, boundary) {
+  boundary = boundary || '----jenkins' + crypto.randomBytes(12).toString('hex');
+
+  var parts = [];
+
+  fields.forEach(function(field) {
+    var head = '--' + boundary + '\r\n' +
+      'Content-Disposition: form-data; name="' + quote(field.name) + '"';
+
+    var content = field.value;
+
+    if (field.content !== undefined) {
+      content = field.content;
+
+      head += '; filename="' + quote(field.filename || field.name) + '"\r\n' +
+        'Content-Type: ' + (field.contentType || 'application/octet-stream');
+    }
+
+    parts.push(new Buffer(head + '\r\n\r\n'));
+    parts.push(Buffer.isBuffer(content) || isStream(content) ?
+      content :
+      new Buffer(String(content)));
+    parts.push(new Buffer('\r\n'));
+  });
+
+  parts.push(new Buffer('--' + boundary + '--\r\n'));
+
+  var result = {
+    contentType: 'multipart/form-data; boundary=' + boundary,
+  };
+
+  if (!parts.some(isStream)) {
+    result.body = Buffer.concat(parts);
+
+    return result;
+  }
+
+  var body = new stream.PassThrough();
+
+  var next = function(index) {
+    if (index >= parts.length) return body.end();
+
+    var part = parts[index];
+
+    if (!isStream(part)) {
+      body.write(part);
+      return next(index + 1);
+    }
+
+    part.on('error', function(err) {
+      // end body so the request completes, error is reported by caller
+      body.emit('error', err);
+      body.end();
+    });
+    part.on('end', function() {
+      next(index + 1);
+    });
+    part.pipe(body, { end: false });
+  };
+
+  next(0);
+
+  result.body = body;
+
+  return result;
+}
+
+/**
+ * Module exports.
+ */
+
+exports.encode = encode;
+exports.isFile = isFile;
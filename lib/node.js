@@ -8,7 +8,41 @@
  * Module dependencies.
  */
 
+var Config = require('./config').Config;
+var checkConflict = require('./config').checkConflict;
+var updateConfig = require('./config').update;
 var middleware = require('./middleware');
+var utils = require('./utils');
+
+/**
+ * Aliases for the built-in node
+ */
+
+var BUILT_IN_NAMES = ['master', 'built-in'];
+
+/**
+ * Map node name to computer name used in urls
+ */
+
+function computerName(name, capabilities) {
+  if (BUILT_IN_NAMES.indexOf(name) === -1) return name;
+
+  return capabilities ? capabilities.builtInNodeName : '(master)';
+}
+
+/**
+ * Map node name to computer name, probing capabilities for the built-in node
+ */
+
+function resolveComputerName(jenkins, name, callback) {
+  if (BUILT_IN_NAMES.indexOf(name) === -1) return callback(null, name);
+
+  jenkins.capabilities(function(err, capabilities) {
+    if (err) return callback(err);
+
+    callback(null, computerName(name, capabilities));
+  });
+}
 
 /**
  * Initialize a new `Node` client.
@@ -23,13 +57,15 @@ function Node(jenkins) {
  */
 
 Node.prototype.config = function(opts, callback) {
+  var self = this;
+
   var arg0 = typeof arguments[0];
   var arg1 = typeof arguments[1];
   var arg2 = typeof arguments[2];
 
   if (arg0 === 'string') {
     opts = { name: arguments[0] };
-    if (arg1 === 'string') {
+    if (arg1 === 'string' || arguments[1] instanceof Config) {
       opts.xml = arguments[1];
       callback = arg2 === 'function' ? arguments[2] : undefined;
     } else {
@@ -39,7 +75,7 @@ Node.prototype.config = function(opts, callback) {
 
   opts = opts || {};
 
-  this.jenkins._log(['debug', 'node', 'config'], opts);
+  self.jenkins._log(['debug', 'node', 'config'], opts);
 
   var req = { name: 'node.config' };
 
@@ -47,35 +83,56 @@ Node.prototype.config = function(opts, callback) {
     if (!opts.name) throw new Error('name required');
 
     req.path = '/computer/{name}/config.xml';
-    req.params = {
-      name: opts.name === 'master' ? '(master)' : opts.name,
-    };
 
     if (opts.xml) {
-      if (opts.name === 'master') {
-        throw new Error('master not supported');
+      if (BUILT_IN_NAMES.indexOf(opts.name) !== -1) {
+        throw new Error(opts.name + ' not supported');
       }
 
       req.method = 'POST';
       req.headers = { 'content-type': 'text/xml' };
-      req.body = new Buffer(opts.xml);
+      req.body = new Buffer(opts.xml.toString());
     } else {
       req.method = 'GET';
     }
   } catch (err) {
-    return callback(this.jenkins._err(err, req));
+    return callback(self.jenkins._err(err, req));
   }
 
-  return this.jenkins._request(
-    req,
-    middleware.notFound('node ' + opts.name),
-    function(ctx, next) {
-      if (ctx.err || opts.xml) return middleware.empty(ctx, next);
+  if (opts.xml && (opts.previous || opts.previousHash)) {
+    return checkConflict(self, 'node.config', opts, function(err) {
+      if (err) return callback(err);
 
-      next(false, null, ctx.res.body.toString('utf8'));
-    },
-    callback
-  );
+      self.config({ name: opts.name, xml: opts.xml }, callback);
+    });
+  }
+
+  resolveComputerName(self.jenkins, opts.name, function(err, name) {
+    if (err) return callback(err);
+
+    req.params = { name: name };
+
+    self.jenkins._request(
+      req,
+      middleware.notFound('node ' + opts.name),
+      function(ctx, next) {
+        if (ctx.err || opts.xml) return middleware.empty(ctx, next);
+
+        var value = ctx.res.body.toString('utf8');
+
+        if (opts.model) {
+          try {
+            value = new Config(value);
+          } catch (err) {
+            return next(err);
+          }
+        }
+
+        next(false, null, value);
+      },
+      callback
+    );
+  });
 };
 
 /**
@@ -83,6 +140,8 @@ Node.prototype.config = function(opts, callback) {
  */
 
 Node.prototype.create = function(opts, callback) {
+  var self = this;
+
   var arg0 = typeof arguments[0];
   var arg1 = typeof arguments[1];
   var arg2 = typeof arguments[2];
@@ -100,7 +159,6 @@ Node.prototype.create = function(opts, callback) {
     opts = opts || {};
   }
 
-  opts.type = opts.type || 'hudson.slaves.DumbSlave$DescriptorImpl';
   opts.retentionStrategy = opts.retentionStrategy ||
     { 'stapler-class': 'hudson.slaves.RetentionStrategy$Always' };
   opts.nodeProperties = opts.nodeProperties || { 'stapler-class-bag': 'true' };
@@ -111,13 +169,26 @@ Node.prototype.create = function(opts, callback) {
   opts.remoteFS = opts.remoteFS || '/var/lib/jenkins';
   opts.mode = opts.mode || (opts.exclusive ? 'EXCLUSIVE' : 'NORMAL');
 
-  this.jenkins._log(['debug', 'node', 'create'], opts);
+  if (!opts.name) {
+    return callback(self.jenkins._err('name required', { name: 'node.create' }));
+  }
+
+  if (!opts.type) {
+    // descriptor name accepted by doCreateItem depends on version
+    return self.jenkins.capabilities(function(err, capabilities) {
+      if (err) return callback(err);
+
+      opts.type = capabilities.nodeType;
+
+      self.create(opts, callback);
+    });
+  }
+
+  self.jenkins._log(['debug', 'node', 'create'], opts);
 
   var req = { name: 'node.create' };
 
   try {
-    if (!opts.name) throw new Error('name required');
-
     req.path = '/computer/doCreateItem';
     req.query = {
       name: opts.name,
@@ -136,10 +207,10 @@ Node.prototype.create = function(opts, callback) {
       }),
     };
   } catch (err) {
-    return callback(this.jenkins._err(err, req));
+    return callback(self.jenkins._err(err, req));
   }
 
-  return this.jenkins._post(
+  return self.jenkins._post(
     req,
     middleware.require302('failed to create: ' + opts.name),
     middleware.empty,
@@ -187,9 +258,11 @@ Node.prototype['delete'] = Node.prototype.destroy;
  */
 
 Node.prototype.toggleOffline = function(opts, callback) {
+  var self = this;
+
   opts = opts || {};
 
-  this.jenkins._log(['debug', 'node', 'toggleOffline'], opts);
+  self.jenkins._log(['debug', 'node', 'toggleOffline'], opts);
 
   var req = { name: 'node.toggleOffline' };
 
@@ -197,19 +270,24 @@ Node.prototype.toggleOffline = function(opts, callback) {
     if (!opts.name) throw new Error('name required');
 
     req.path = '/computer/{name}/toggleOffline';
-    req.params = { name: opts.name };
     req.query = { offlineMessage: opts.message || '' };
   } catch (err) {
-    return callback(this.jenkins._err(err, req));
+    return callback(self.jenkins._err(err, req));
   }
 
-  return this.jenkins._post(
-    req,
-    middleware.notFound(opts.name),
-    middleware.require302('failed to toggle offline: ' + opts.name),
-    middleware.empty,
-    callback
-  );
+  resolveComputerName(self.jenkins, opts.name, function(err, name) {
+    if (err) return callback(err);
+
+    req.params = { name: name };
+
+    self.jenkins._post(
+      req,
+      middleware.notFound(opts.name),
+      middleware.require302('failed to toggle offline: ' + opts.name),
+      middleware.empty,
+      callback
+    );
+  });
 };
 
 /**
@@ -217,11 +295,13 @@ Node.prototype.toggleOffline = function(opts, callback) {
  */
 
 Node.prototype.changeOfflineCause = function(opts, callback) {
+  var self = this;
+
   opts = opts || {};
 
   opts.message = opts.message || '';
 
-  this.jenkins._log(['debug', 'node', 'changeOfflineCause'], opts);
+  self.jenkins._log(['debug', 'node', 'changeOfflineCause'], opts);
 
   var req = { name: 'node.changeOfflineCause' };
 
@@ -229,7 +309,6 @@ Node.prototype.changeOfflineCause = function(opts, callback) {
     if (!opts.name) throw new Error('name required');
 
     req.path = '/computer/{name}/changeOfflineCause';
-    req.params = { name: opts.name };
     req.type = 'form';
     req.body = {
       offlineMessage: opts.message,
@@ -239,16 +318,22 @@ Node.prototype.changeOfflineCause = function(opts, callback) {
       Submit: 'Update reason',
     };
   } catch (err) {
-    return callback(this.jenkins._err(err, req));
+    return callback(self.jenkins._err(err, req));
   }
 
-  return this.jenkins._post(
-    req,
-    middleware.notFound(opts.name),
-    middleware.require302('failed to update offline message: ' + opts.name),
-    middleware.empty,
-    callback
-  );
+  resolveComputerName(self.jenkins, opts.name, function(err, name) {
+    if (err) return callback(err);
+
+    req.params = { name: name };
+
+    self.jenkins._post(
+      req,
+      middleware.notFound(opts.name),
+      middleware.require302('failed to update offline message: ' + opts.name),
+      middleware.empty,
+      callback
+    );
+  });
 };
 
 /**
@@ -326,7 +411,7 @@ Node.prototype.enable = function(opts, callback) {
     if (!node.temporarilyOffline) return callback();
 
     self.toggleOffline({ name: opts.name, message: '' }, function(err) {
-      if (err) callback(err);
+      if (err) return callback(err);
 
       callback();
     });
@@ -338,13 +423,15 @@ Node.prototype.enable = function(opts, callback) {
  */
 
 Node.prototype.exists = function(opts, callback) {
+  var self = this;
+
   if (typeof opts === 'string') {
     opts = { name: opts };
   } else {
     opts = opts || {};
   }
 
-  this.jenkins._log(['debug', 'build', 'exists'], opts);
+  self.jenkins._log(['debug', 'build', 'exists'], opts);
 
   var req = { name: 'node.exists' };
 
@@ -352,15 +439,18 @@ Node.prototype.exists = function(opts, callback) {
     if (!opts.name) throw new Error('name required');
 
     req.path = '/computer/{name}/api/json';
-    req.params = {
-      name: opts.name === 'master' ? '(master)' : opts.name,
-    };
     req.query = { depth: 0 };
   } catch (err) {
-    return callback(this.jenkins._err(err, req));
+    return callback(self.jenkins._err(err, req));
   }
 
-  return this.jenkins._head(req, middleware.exists, callback);
+  resolveComputerName(self.jenkins, opts.name, function(err, name) {
+    if (err) return callback(err);
+
+    req.params = { name: name };
+
+    self.jenkins._head(req, middleware.exists, callback);
+  });
 };
 
 /**
@@ -368,6 +458,8 @@ Node.prototype.exists = function(opts, callback) {
  */
 
 Node.prototype.get = function(opts, callback) {
+  var self = this;
+
   if (typeof opts === 'string') {
     opts = { name: opts };
   } else {
@@ -376,7 +468,7 @@ Node.prototype.get = function(opts, callback) {
 
   opts.depth = opts.depth || 0;
 
-  this.jenkins._log(['debug', 'node', 'get'], opts);
+  self.jenkins._log(['debug', 'node', 'get'], opts);
 
   var req = { name: 'node.get' };
 
@@ -384,20 +476,25 @@ Node.prototype.get = function(opts, callback) {
     if (!opts.name) throw new Error('name required');
 
     req.path = '/computer/{name}/api/json';
-    req.params = {
-      name: opts.name === 'master' ? '(master)' : opts.name,
-    };
     req.query = { depth: opts.depth };
+
+    if (opts.tree) req.query.tree = utils.tree(opts.tree);
   } catch (err) {
-    return callback(this.jenkins._err(err, req));
+    return callback(self.jenkins._err(err, req));
   }
 
-  return this.jenkins._get(
-    req,
-    middleware.notFound(opts.name),
-    middleware.body,
-    callback
-  );
+  resolveComputerName(self.jenkins, opts.name, function(err, name) {
+    if (err) return callback(err);
+
+    req.params = { name: name };
+
+    self.jenkins._get(
+      req,
+      middleware.notFound(opts.name),
+      middleware.body,
+      callback
+    );
+  });
 };
 
 /**
@@ -422,6 +519,9 @@ Node.prototype.list = function(opts, callback) {
     query: { depth: opts.depth },
   };
 
+  // tree applies to each node
+  if (opts.tree) req.query.tree = utils.tree({ computer: opts.tree });
+
   return this.jenkins._get(
     req,
     middleware.bodyItem('computer'),
@@ -429,8 +529,30 @@ Node.prototype.list = function(opts, callback) {
   );
 };
 
+/**
+ * Update config using mutator (get, modify and post)
+ */
+
+Node.prototype.updateConfig = function(opts, mutator, callback) {
+  if (typeof opts === 'string') opts = { name: opts };
+
+  opts = opts || {};
+
+  this.jenkins._log(['debug', 'node', 'updateConfig'], opts);
+
+  return updateConfig(this, 'node.updateConfig', opts, mutator, callback);
+};
+
+/**
+ * Promise support
+ */
+
+utils.promisify(Node.prototype, ['updateConfig']);
+
 /**
  * Module exports.
  */
 
 exports.Node = Node;
+exports.computerName = computerName;
+exports.resolveComputerName = resolveComputerName;
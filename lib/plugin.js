@@ -0,0 +1,377 @@
+/**
+ * Plugin client
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var middleware = require('./middleware');
+var utils = require('./utils');
+
+/**
+ * Installation job states that are done
+ */
+
+var INSTALL_DONE = ['Success', 'SuccessButRequiresRestart', 'Skipped'];
+
+/**
+ * Default time to wait for installation to finish
+ */
+
+var INSTALL_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * Normalize plugin list (ex: ['git', 'docker-workflow@1.26'])
+ */
+
+function normalizePlugins(value) {
+  if (!value) return [];
+
+  if (!Array.isArray(value)) value = [value];
+
+  return value.map(function(plugin) {
+    if (typeof plugin === 'object') {
+      return { name: plugin.name, version: plugin.version || 'latest' };
+    }
+
+    var parts = String(plugin).split('@');
+
+    return { name: parts[0], version: parts[1] || 'latest' };
+  }).filter(function(plugin) {
+    return plugin.name;
+  });
+}
+
+/**
+ * Check if installed plugin satisfies requested plugin
+ */
+
+function isSatisfied(installed, plugin) {
+  if (installed.shortName !== plugin.name) return false;
+
+  if (plugin.version === 'latest') return !installed.hasUpdate;
+
+  return installed.version === plugin.version;
+}
+
+/**
+ * Initialize a new `Plugin` client.
+ */
+
+function Plugin(jenkins) {
+  this.jenkins = jenkins;
+}
+
+/**
+ * Install plugins
+ */
+
+Plugin.prototype.install = function(opts, callback) {
+  var self = this;
+
+  var arg0 = typeof arguments[0];
+  var arg1 = typeof arguments[1];
+  var arg2 = typeof arguments[2];
+
+  if (arg0 === 'string' || Array.isArray(arguments[0])) {
+    if (arg1 === 'object') {
+      opts = arguments[1];
+      callback = arg2 === 'function' ? arguments[2] : undefined;
+    } else {
+      opts = {};
+      callback = arg1 === 'function' ? arguments[1] : undefined;
+    }
+    opts.name = arguments[0];
+  } else {
+    opts = opts || {};
+  }
+
+  self.jenkins._log(['debug', 'plugin', 'install'], opts);
+
+  var req = { name: 'plugin.install' };
+  var plugins = normalizePlugins(opts.name);
+
+  try {
+    if (!plugins.length) throw new Error('name required');
+
+    req.path = '/pluginManager/installNecessaryPlugins';
+    req.headers = { 'content-type': 'text/xml' };
+    req.body = new Buffer('<jenkins>' + plugins.map(function(plugin) {
+      return '<install plugin="' + utils.escapeXml(plugin.name + '@' + plugin.version) + '" />';
+    }).join('') + '</jenkins>');
+  } catch (err) {
+    return callback(self.jenkins._err(err, req));
+  }
+
+  var post = function(status, pending) {
+    return self.jenkins._post(
+      req,
+      middleware.require302('failed to install: ' + plugins.map(function(plugin) {
+        return plugin.name;
+      }).join(', ')),
+      middleware.empty,
+      function(err) {
+        if (err) return callback(err);
+        if (!opts.wait) return callback();
+
+        // no installation job is created for satisfied plugins
+        if (!pending.length) {
+          return callback(null, {
+            plugins: [],
+            restartRequired: status.restartRequired,
+          });
+        }
+
+        self.waitForInstall({
+          name: pending,
+          since: status.jobs.reduce(function(since, job) {
+            return Math.max(since, job.id || 0);
+          }, 0),
+          pollInterval: opts.pollInterval || opts.delay,
+          timeout: opts.timeout,
+        }, callback);
+      }
+    );
+  };
+
+  if (!opts.wait) return post();
+
+  // record existing jobs so finished jobs from earlier installs are ignored
+  self.installStatus(function(err, status) {
+    if (err) return callback(err);
+
+    self.list(function(err, installed) {
+      if (err) return callback(err);
+
+      post(status, plugins.filter(function(plugin) {
+        return !installed.some(function(current) {
+          return isSatisfied(current, plugin);
+        });
+      }));
+    });
+  });
+};
+
+/**
+ * Update center installation status
+ */
+
+Plugin.prototype.installStatus = function(opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = {};
+  } else {
+    opts = opts || {};
+  }
+
+  this.jenkins._log(['debug', 'plugin', 'installStatus'], opts);
+
+  var req = {
+    name: 'plugin.installStatus',
+    path: '/updateCenter/api/json',
+    query: { depth: 1 },
+  };
+
+  return this.jenkins._get(
+    req,
+    function(ctx, next) {
+      if (ctx.err) return next(ctx.err);
+
+      var body = ctx.res.body || {};
+
+      var jobs = (body.jobs || []).filter(function(job) {
+        return /InstallationJob$/.test(job._class || job.type || '');
+      }).map(function(job) {
+        var status = job.status || {};
+
+        return {
+          id: job.id,
+          name: (job.plugin && job.plugin.name) || job.name,
+          version: job.plugin && job.plugin.version,
+          status: status.type,
+          success: !!status.success,
+          errorMessage: job.errorMessage || null,
+        };
+      });
+
+      next(false, null, {
+        jobs: jobs,
+        restartRequired: !!body.restartRequiredForCompletion,
+      });
+    },
+    callback
+  );
+};
+
+/**
+ * List installed plugins
+ */
+
+Plugin.prototype.list = function(opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = {};
+  } else {
+    opts = opts || {};
+  }
+
+  this.jenkins._log(['debug', 'plugin', 'list'], opts);
+
+  var req = {
+    name: 'plugin.list',
+    path: '/pluginManager/api/json',
+    query: {},
+  };
+
+  // tree applies to each plugin and replaces the default depth
+  if (opts.tree) {
+    req.query.tree = utils.tree({ plugins: opts.tree });
+    if (opts.depth) req.query.depth = opts.depth;
+  } else {
+    req.query.depth = opts.depth || 1;
+  }
+
+  return this.jenkins._get(
+    req,
+    function(ctx, next) {
+      if (ctx.err) return next();
+
+      if (!ctx.res.body || !Array.isArray(ctx.res.body.plugins)) {
+        ctx.err = new Error('returned bad data');
+      }
+
+      next();
+    },
+    middleware.bodyItem('plugins'),
+    callback
+  );
+};
+
+/**
+ * Wait for plugin installation to finish
+ */
+
+Plugin.prototype.waitForInstall = function(opts, callback) {
+  var self = this;
+
+  var arg0 = typeof arguments[0];
+  var arg1 = typeof arguments[1];
+  var arg2 = typeof arguments[2];
+
+  if (arg0 === 'string' || Array.isArray(arguments[0])) {
+    if (arg1 === 'object') {
+      opts = arguments[1];
+      callback = arg2 === 'function' ? arguments[2] : undefined;
+    } else {
+      opts = {};
+      callback = arg1 === 'function' ? arguments[1] : undefined;
+    }
+    opts.name = arguments[0];
+  } else {
+    opts = opts || {};
+  }
+
+  // delay is the deprecated name of pollInterval
+  var pollInterval = opts.pollInterval || opts.delay || 1000;
+  var timeout = opts.timeout || INSTALL_TIMEOUT;
+  var started = Date.now();
+
+  self.jenkins._log(['debug', 'plugin', 'waitForInstall'], opts);
+
+  var names = normalizePlugins(opts.name).map(function(plugin) {
+    return plugin.name;
+  });
+
+  if (!names.length) {
+    return callback(self.jenkins._err('name required', { name: 'plugin.waitForInstall' }));
+  }
+
+  var poll = function() {
+    self.installStatus(function(err, data) {
+      if (err) return callback(err);
+
+      var recent = data.jobs.filter(function(job) {
+        return opts.since === undefined || (job.id || 0) > opts.since;
+      });
+
+      // latest job for each plugin
+      var latest = {};
+
+      recent.forEach(function(job) {
+        if (names.indexOf(job.name) === -1) return;
+        if (latest[job.name] && latest[job.name].id > job.id) return;
+
+        latest[job.name] = job;
+      });
+
+      var jobs = names.filter(function(name) {
+        return latest[name];
+      }).map(function(name) {
+        return latest[name];
+      });
+
+      var failed = jobs.filter(function(job) {
+        return job.status === 'Failure';
+      });
+
+      if (failed.length) {
+        return callback(self.jenkins._err('failed to install: ' + failed.map(function(job) {
+          return job.name + (job.errorMessage ? ' (' + job.errorMessage + ')' : '');
+        }).join(', '), { name: 'plugin.waitForInstall' }));
+      }
+
+      var finished = function(job) {
+        return job.status === 'Failure' || INSTALL_DONE.indexOf(job.status) !== -1;
+      };
+
+      // update center has no pending work, so missing jobs will never show up
+      var missing = names.filter(function(name) {
+        return !latest[name];
+      });
+
+      if (missing.length && recent.every(finished)) {
+        return callback(self.jenkins._err('failed to install: ' + missing.map(function(name) {
+          return name + ' (no installation job)';
+        }).join(', '), { name: 'plugin.waitForInstall' }));
+      }
+
+      var done = !missing.length && jobs.every(function(job) {
+        return INSTALL_DONE.indexOf(job.status) !== -1;
+      });
+
+      if (done) {
+        return callback(null, {
+          plugins: jobs,
+          restartRequired: data.restartRequired,
+        });
+      }
+
+      if (Date.now() - started + pollInterval > timeout) {
+        var timeoutErr = self.jenkins._err('timed out (' + timeout + 'ms)',
+          { name: 'plugin.waitForInstall' });
+        timeoutErr.timeout = true;
+
+        return callback(timeoutErr);
+      }
+
+      setTimeout(poll, pollInterval);
+    });
+  };
+
+  poll();
+};
+
+/**
+ * Promise support
+ */
+
+utils.promisify(Plugin.prototype);
+
+/**
+ * Module exports.
+ */
+
+exports.Plugin = Plugin;
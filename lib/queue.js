@@ -9,6 +9,7 @@
  */
 
 var middleware = require('./middleware');
+var utils = require('./utils');
 
 /**
  * Initialize a new `Queue` client.
@@ -40,6 +41,9 @@ Queue.prototype.list = function(opts, callback) {
     query: { depth: opts.depth },
   };
 
+  // tree applies to each item
+  if (opts.tree) req.query.tree = utils.tree({ items: opts.tree });
+
   return this.jenkins._get(req, middleware.bodyItem('items'), callback);
 };
 
@@ -62,12 +66,58 @@ Queue.prototype.get = function(opts, callback) {
   });
 };
 
+/**
+ * Queue item details
+ */
+
+Queue.prototype.item = function(opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = {};
+  } else if (typeof opts !== 'object') {
+    if (arguments[1] && typeof arguments[1] === 'object') {
+      opts = arguments[1];
+      callback = arguments[2];
+    } else {
+      opts = {};
+    }
+    opts.number = arguments[0];
+  } else {
+    opts = opts || {};
+  }
+
+  this.jenkins._log(['debug', 'queue', 'item'], opts);
+
+  var req = { name: 'queue.item' };
+
+  try {
+    if (!opts.number) throw new Error('number required');
+
+    req.path = '/queue/item/{number}/api/json';
+    req.params = { number: opts.number };
+
+    if (opts.tree) req.query = { tree: utils.tree(opts.tree) };
+  } catch (err) {
+    return callback(this.jenkins._err(err, req));
+  }
+
+  return this.jenkins._get(
+    req,
+    middleware.notFound('queue item ' + opts.number),
+    middleware.body,
+    callback
+  );
+};
+
 /**
  * Cancel queue item
  */
 
 Queue.prototype.cancel = function(opts, callback) {
-  if (typeof opts !== 'object') {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = {};
+  } else if (typeof opts !== 'object') {
     opts = { number: opts };
   } else {
     opts = opts || {};
@@ -89,6 +139,12 @@ Queue.prototype.cancel = function(opts, callback) {
   return this.jenkins._post(req, middleware.empty, callback);
 };
 
+/**
+ * Promise support
+ */
+
+utils.promisify(Queue.prototype);
+
 /**
  * Module exports.
  */
@@ -0,0 +1,131 @@
+/**
+ * Retry failed requests
+ */
+
+'use strict';
+
+/**
+ * Methods that are safe to retry by default
+ */
+
+var IDEMPOTENT = ['GET', 'HEAD'];
+
+/**
+ * Defaults
+ */
+
+var DEFAULTS = {
+  attempts: 3,
+  delay: 100,
+  maxDelay: 5000,
+  factor: 2,
+  statusCodes: [502, 503, 504],
+  errorCodes: ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'],
+};
+
+/**
+ * Merge options over defaults
+ */
+
+function merge() {
+  var result = {};
+
+  Array.prototype.slice.call(arguments).forEach(function(opts) {
+    if (!opts || typeof opts !== 'object') return;
+
+    Object.keys(opts).forEach(function(key) {
+      if (opts[key] !== undefined) result[key] = opts[key];
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Initialize a new `RetryPolicy`.
+ */
+
+function RetryPolicy(jenkins, opts) {
+  opts = opts || {};
+
+  this.jenkins = jenkins;
+
+  this._opts = merge(DEFAULTS, opts);
+  this._methods = opts.methods || {};
+
+  delete this._opts.methods;
+}
+
+/**
+ * Options for request (null when request should not be retried)
+ */
+
+RetryPolicy.prototype.options = function(name, method) {
+  var override = this._methods[name];
+
+  if (override === false) return null;
+  if (!override && IDEMPOTENT.indexOf(method) === -1) return null;
+
+  return merge(this._opts, override);
+};
+
+/**
+ * Delay before next attempt (exponential backoff with jitter)
+ */
+
+RetryPolicy.prototype.delay = function(opts, attempt) {
+  var delay = Math.min(opts.maxDelay, opts.delay * Math.pow(opts.factor, attempt - 1));
+
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+};
+
+/**
+ * Check if response failed in a retryable way
+ */
+
+RetryPolicy.prototype.retryable = function(opts, ctx) {
+  if (ctx.res) return opts.statusCodes.indexOf(ctx.res.statusCode) !== -1;
+
+  return !!ctx.err && opts.errorCodes.indexOf(ctx.err.code) !== -1;
+};
+
+/**
+ * Retry request after a delay
+ */
+
+RetryPolicy.prototype._onResponse = function(ctx, next) {
+  var opts = this.options(ctx.opts.name, ctx.opts.method);
+
+  if (!opts || !this.retryable(opts, ctx)) return next();
+
+  var attempt = (ctx.state.retryAttempt || 1);
+
+  if (attempt >= opts.attempts) return next();
+
+  var delay = this.delay(opts, attempt);
+
+  this.jenkins._log(['debug', 'retry'], {
+    name: ctx.opts.name,
+    attempt: attempt,
+    delay: delay,
+    statusCode: ctx.res ? ctx.res.statusCode : undefined,
+    code: ctx.res ? undefined : ctx.err.code,
+  });
+
+  ctx.state.retryAttempt = attempt + 1;
+
+  setTimeout(function() {
+    try {
+      ctx.retry();
+    } catch (err) {
+      next();
+    }
+  }, delay);
+};
+
+/**
+ * Module exports.
+ */
+
+exports.DEFAULTS = DEFAULTS;
+exports.RetryPolicy = RetryPolicy;
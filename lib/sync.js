@@ -0,0 +1,407 @@
+/**
+ * Declarative job sync
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+var Config = require('./config').Config;
+var utils = require('./utils');
+
+/**
+ * Defaults
+ */
+
+var DEFAULTS = {
+  concurrency: 4,
+};
+
+/**
+ * Run iterator over items with at most limit in flight
+ */
+
+function eachLimit(items, limit, iterator, callback) {
+  var index = 0;
+  var running = 0;
+  var done = false;
+
+  if (!items.length) return callback();
+
+  var next;
+
+  var finished = function() {
+    running--;
+    next();
+  };
+
+  next = function() {
+    if (done) return;
+
+    if (index >= items.length && !running) {
+      done = true;
+      return callback();
+    }
+
+    while (running < limit && index < items.length) {
+      running++;
+      iterator(items[index++], finished);
+    }
+  };
+
+  next();
+}
+
+/**
+ * Read desired jobs from directory (nested directories are folders)
+ */
+
+function readDir(dir, callback) {
+  var jobs = {};
+
+  var walk = function(relative, cb) {
+    fs.readdir(path.join(dir, relative), function(err, names) {
+      if (err) return cb(err);
+
+      names = names.sort();
+
+      var pending = names.slice();
+
+      var step = function(err) {
+        if (err) return cb(err);
+
+        var name = pending.shift();
+        if (name === undefined) return cb();
+
+        var file = path.join(relative, name);
+
+        fs.stat(path.join(dir, file), function(err, stat) {
+          if (err) return cb(err);
+
+          if (stat.isDirectory()) return walk(file, step);
+          if (!/\.xml$/.test(name)) return step();
+
+          fs.readFile(path.join(dir, file), 'utf8', function(err, xml) {
+            if (err) return cb(err);
+
+            jobs[file.replace(/\.xml$/, '').split(path.sep).join('/')] = xml;
+
+            step();
+          });
+        });
+      };
+
+      step();
+    });
+  };
+
+  walk('', function(err) {
+    if (err) return callback(err);
+
+    callback(null, jobs);
+  });
+}
+
+/**
+ * Changes between current and desired config (ignores plugin versions)
+ */
+
+function diff(current, desired) {
+  return Config.diff(current, desired).filter(function(change) {
+    return !/(^|\/)@plugin$/.test(change.path);
+  });
+}
+
+/**
+ * Check if job name matches prune pattern
+ */
+
+function matches(pattern, name) {
+  if (!pattern) return true;
+  if (typeof pattern === 'function') return !!pattern(name);
+  if (!(pattern instanceof RegExp)) pattern = new RegExp(pattern);
+
+  return pattern.test(name);
+}
+
+/**
+ * Initialize a new `Sync`.
+ */
+
+function Sync(jenkins, opts) {
+  this.jenkins = jenkins;
+
+  this._opts = {};
+
+  Object.keys(DEFAULTS).forEach(function(key) {
+    this._opts[key] = DEFAULTS[key];
+  }, this);
+
+  Object.keys(opts || {}).forEach(function(key) {
+    if (opts[key] !== undefined) this._opts[key] = opts[key];
+  }, this);
+
+  this._folder = utils.FolderPath(this._opts.folder);
+}
+
+/**
+ * Full job name (desired names are relative to folder)
+ */
+
+Sync.prototype._fullName = function(name) {
+  return utils.FolderPath(this._folder.value.concat(name.split('/'))).toString();
+};
+
+/**
+ * Load desired jobs (map of name to xml or directory path)
+ */
+
+Sync.prototype._desired = function(desired, callback) {
+  if (typeof desired === 'string') return readDir(desired, callback);
+
+  if (!desired || typeof desired !== 'object') {
+    return callback(new Error('desired jobs required'));
+  }
+
+  var jobs = {};
+
+  Object.keys(desired).forEach(function(name) {
+    jobs[name] = desired[name].toString();
+  });
+
+  callback(null, jobs);
+};
+
+/**
+ * Compute plan of create, update, delete and unchanged actions
+ */
+
+Sync.prototype.plan = function(desired, callback) {
+  var self = this;
+  var opts = self._opts;
+
+  self._desired(desired, function(err, jobs) {
+    if (err) return callback(self.jenkins._err(err, { name: 'sync' }));
+
+    var names = Object.keys(jobs).sort();
+
+    // fail before touching anything when a desired config is invalid
+    for (var i = 0; i < names.length; i++) {
+      try {
+        new Config(jobs[names[i]]);
+      } catch (err) {
+        err.message = names[i] + ': ' + err.message;
+        return callback(self.jenkins._err(err, { name: 'sync' }));
+      }
+    }
+
+    self.jenkins.job.list({
+      folder: self._folder.value,
+      recursive: true,
+    }, function(err, list) {
+      if (err) return callback(err);
+
+      var prefix = self._folder.isEmpty() ? '' : self._folder.toString() + '/';
+
+      var current = list.map(function(job) {
+        return (job.fullName || job.name).slice(prefix.length);
+      });
+
+      var actions = names.map(function(name) {
+        return {
+          name: name,
+          action: current.indexOf(name) === -1 ? 'create' : 'update',
+          xml: jobs[name],
+        };
+      });
+
+      if (opts.prune) {
+        var deleted = [];
+
+        current.sort().forEach(function(name) {
+          if (jobs.hasOwnProperty(name)) return;
+
+          // keep folders containing desired jobs
+          var parent = names.some(function(desiredName) {
+            return desiredName.indexOf(name + '/') === 0;
+          });
+          if (parent) return;
+
+          // already removed with a pruned folder
+          var nested = deleted.some(function(deletedName) {
+            return name.indexOf(deletedName + '/') === 0;
+          });
+          if (nested) return;
+
+          if (!matches(opts.prunePattern, name)) return;
+
+          deleted.push(name);
+          actions.push({ name: name, action: 'delete' });
+        });
+      }
+
+      var updates = actions.filter(function(action) {
+        return action.action === 'update';
+      });
+
+      eachLimit(updates, opts.concurrency, function(action, next) {
+        self.jenkins.job.config(self._fullName(action.name), function(err, xml) {
+          if (err) {
+            action.error = err;
+            return next();
+          }
+
+          action.previous = xml;
+
+          try {
+            action.diff = diff(xml, action.xml);
+          } catch (err) {
+            action.error = self.jenkins._err(err, { name: 'sync' });
+            return next();
+          }
+
+          if (!action.diff.length) action.action = 'unchanged';
+
+          next();
+        });
+      }, function() {
+        var failed = updates.filter(function(action) {
+          return action.error;
+        })[0];
+
+        if (failed) return callback(failed.error);
+
+        callback(null, actions);
+      });
+    });
+  });
+};
+
+/**
+ * Apply a single action
+ */
+
+Sync.prototype._apply = function(action, callback) {
+  var job = this.jenkins.job;
+  var name = this._fullName(action.name);
+
+  switch (action.action) {
+    case 'create':
+      return job.create(name, action.xml, callback);
+    case 'update':
+      return job.config({
+        name: name,
+        xml: action.xml,
+        previous: action.previous,
+      }, callback);
+    case 'delete':
+      return job.destroy(name, callback);
+    default:
+      callback();
+  }
+};
+
+/**
+ * Apply plan (parent folders first, deletes last)
+ */
+
+Sync.prototype.apply = function(actions, callback) {
+  var self = this;
+  var errors = [];
+
+  var waves = {};
+
+  actions.forEach(function(action) {
+    if (action.action === 'unchanged') return;
+
+    var key = action.action === 'delete' ? Infinity : action.name.split('/').length;
+
+    (waves[key] = waves[key] || []).push(action);
+  });
+
+  var keys = Object.keys(waves).map(Number).sort(function(a, b) {
+    return a - b;
+  });
+
+  var wave = function() {
+    var key = keys.shift();
+
+    if (key === undefined) {
+      if (!errors.length) return callback();
+
+      var err = self.jenkins._err(
+        errors.length + ' of ' + actions.length + ' actions failed: ' + errors[0].message,
+        { name: 'sync' }
+      );
+      err.errors = errors;
+
+      return callback(err);
+    }
+
+    eachLimit(waves[key], self._opts.concurrency, function(action, next) {
+      self._apply(action, function(err) {
+        if (err) {
+          action.error = err;
+          errors.push(err);
+        } else {
+          action.applied = true;
+        }
+
+        next();
+      });
+    }, wave);
+  };
+
+  wave();
+};
+
+/**
+ * Plan and apply (unless dry run)
+ */
+
+Sync.prototype.run = function(desired, callback) {
+  var self = this;
+
+  self.plan(desired, function(err, actions) {
+    if (err) return callback(err);
+
+    var result = function() {
+      return {
+        dryRun: !!self._opts.dryRun,
+        actions: actions.map(function(action) {
+          var value = { name: action.name, action: action.action };
+
+          if (action.diff && action.action === 'update') value.diff = action.diff;
+          if (action.applied) value.applied = true;
+          if (action.error) value.error = action.error;
+
+          return value;
+        }),
+      };
+    };
+
+    if (self._opts.dryRun) return callback(null, result());
+
+    self.apply(actions, function(err) {
+      if (err) {
+        err.result = result();
+        return callback(err);
+      }
+
+      callback(null, result());
+    });
+  });
+};
+
+/**
+ * Module exports.
+ */
+
+exports.Sync = Sync;
+exports.diff = diff;
+exports.readDir = readDir;
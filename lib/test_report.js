@@ -0,0 +1,116 @@
+/**
+ * Test report helpers
+ */
+
+'use strict';
+
+/**
+ * Tree used when fetching reports for summaries
+ */
+
+var CASE_FIELDS = 'className,name,status,errorDetails,errorStackTrace,duration,age';
+
+var TREE = [
+  'duration',
+  'suites[cases[' + CASE_FIELDS + ']]',
+  'childReports[result[duration,suites[cases[' + CASE_FIELDS + ']]]]',
+].join(',');
+
+/**
+ * Collect cases from report (including aggregated child reports)
+ */
+
+function cases(report) {
+  var result = [];
+
+  if (!report) return result;
+
+  (report.suites || []).forEach(function(suite) {
+    result.push.apply(result, suite.cases || []);
+  });
+
+  (report.childReports || []).forEach(function(child) {
+    result.push.apply(result, cases(child.result));
+  });
+
+  return result;
+}
+
+/**
+ * Summarize test report
+ */
+
+function summarize(report) {
+  var summary = {
+    total: 0,
+    passed: 0,
+    failed: 0,
+    skipped: 0,
+    duration: (report && report.duration) || 0,
+    failures: [],
+  };
+
+  cases(report).forEach(function(testCase) {
+    summary.total++;
+
+    switch (testCase.status) {
+      case 'FAILED':
+      case 'REGRESSION':
+        summary.failed++;
+        summary.failures.push({
+          className: testCase.className,
+          name: testCase.name,
+          fullName: testCase.className + '.' + testCase.name,
+          status: testCase.status,
+          errorDetails: testCase.errorDetails,
+          errorStackTrace: testCase.errorStackTrace,
+          duration: testCase.duration,
+          age: testCase.age,
+        });
+        break;
+      case 'SKIPPED':
+        summary.skipped++;
+        break;
+      default:
+        summary.passed++;
+        break;
+    }
+  });
+
+  return summary;
+}
+
+/**
+ * Compare failures against an earlier summary
+ */
+
+function compare(summary, previous) {
+  var names = function(s) {
+    return s.failures.map(function(failure) {
+      return failure.fullName;
+    });
+  };
+
+  var current = names(summary);
+  var before = names(previous);
+
+  return {
+    newlyFailing: current.filter(function(name) {
+      return before.indexOf(name) === -1;
+    }),
+    stillFailing: current.filter(function(name) {
+      return before.indexOf(name) !== -1;
+    }),
+    fixed: before.filter(function(name) {
+      return current.indexOf(name) === -1;
+    }),
+  };
+}
+
+/**
+ * Module exports.
+ */
+
+exports.TREE = TREE;
+exports.compare = compare;
+exports.summarize = summarize;
@@ -0,0 +1,395 @@
+/**
+ * View client
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+var middleware = require('./middleware');
+var utils = require('./utils');
+
+/**
+ * Initialize a new `View` client.
+ */
+
+function View(jenkins) {
+  this.jenkins = jenkins;
+}
+
+/**
+ * Add job to view
+ */
+
+View.prototype.add = function(opts, callback) {
+  var arg0 = typeof arguments[0];
+  var arg1 = typeof arguments[1];
+  var arg2 = typeof arguments[2];
+
+  if ((arg0 === 'string' || Array.isArray(arguments[0])) &&
+      (arg1 === 'string' || Array.isArray(arguments[1]))) {
+    opts = {
+      name: arguments[0],
+      job: arguments[1],
+    };
+    callback = arg2 === 'function' ? arguments[2] : undefined;
+  }
+
+  opts = opts || {};
+
+  this.jenkins._log(['debug', 'view', 'add'], opts);
+
+  var req = { name: 'view.add' };
+
+  try {
+    if (!opts.name) throw new Error('name required');
+    if (!opts.job) throw new Error('job required');
+
+    req.path = '{view}/addJobToView';
+    req.params = { view: utils.FolderPath(opts.name).path('view') };
+    req.query = { name: utils.FolderPath(opts.job).toString() };
+  } catch (err) {
+    return callback(this.jenkins._err(err, req));
+  }
+
+  return this.jenkins._post(
+    req,
+    middleware.notFound(opts.name),
+    middleware.empty,
+    callback
+  );
+};
+
+/**
+ * Get or update config
+ */
+
+View.prototype.config = function(opts, callback) {
+  var arg0 = typeof arguments[0];
+  var arg1 = typeof arguments[1];
+  var arg2 = typeof arguments[2];
+
+  if (arg0 === 'string' || Array.isArray(arguments[0])) {
+    opts = { name: arguments[0] };
+    if (arg1 === 'string') {
+      opts.xml = arguments[1];
+      callback = arg2 === 'function' ? arguments[2] : undefined;
+    } else {
+      callback = arg1 === 'function' ? arguments[1] : undefined;
+    }
+  }
+
+  opts = opts || {};
+
+  this.jenkins._log(['debug', 'view', 'config'], opts);
+
+  var req = { name: 'view.config' };
+
+  try {
+    if (!opts.name) throw new Error('name required');
+
+    req.path = '{view}/config.xml';
+    req.params = { view: utils.FolderPath(opts.name).path('view') };
+
+    if (opts.xml) {
+      req.method = 'POST';
+      req.headers = { 'content-type': 'text/xml' };
+      req.body = new Buffer(opts.xml);
+    } else {
+      req.method = 'GET';
+    }
+  } catch (err) {
+    return callback(this.jenkins._err(err, req));
+  }
+
+  return this.jenkins._request(
+    req,
+    middleware.notFound(opts.name),
+    function(ctx, next) {
+      if (ctx.err || opts.xml) return middleware.empty(ctx, next);
+
+      next(false, null, ctx.res.body.toString('utf8'));
+    },
+    callback
+  );
+};
+
+/**
+ * Create view (list view or from xml)
+ */
+
+View.prototype.create = function(opts, callback) {
+  var arg0 = typeof arguments[0];
+  var arg1 = typeof arguments[1];
+  var arg2 = typeof arguments[2];
+
+  if (arg0 === 'string' || Array.isArray(arguments[0])) {
+    opts = { name: arguments[0] };
+    if (arg1 === 'string') {
+      opts.xml = arguments[1];
+      callback = arg2 === 'function' ? arguments[2] : undefined;
+    } else {
+      callback = arg1 === 'function' ? arguments[1] : undefined;
+    }
+  }
+
+  opts = opts || {};
+
+  this.jenkins._log(['debug', 'view', 'create'], opts);
+
+  var req = { name: 'view.create' };
+  var view = utils.FolderPath(opts.name);
+
+  try {
+    if (!opts.name) throw new Error('name required');
+
+    req.path = '{view}/createView';
+    req.params = { view: view.parent().path('view') };
+
+    if (opts.xml) {
+      req.headers = { 'content-type': 'text/xml' };
+      req.query = { name: view.name() };
+      req.body = new Buffer(opts.xml);
+    } else {
+      var mode = opts.mode || 'hudson.model.ListView';
+
+      req.type = 'form';
+      req.body = {
+        name: view.name(),
+        mode: mode,
+        json: JSON.stringify({
+          name: view.name(),
+          mode: mode,
+        }),
+      };
+    }
+  } catch (err) {
+    return callback(this.jenkins._err(err, req));
+  }
+
+  if (opts.xml) {
+    return this.jenkins._post(
+      req,
+      middleware.notFound(view.parent().toString()),
+      middleware.empty,
+      callback
+    );
+  }
+
+  return this.jenkins._post(
+    req,
+    middleware.notFound(view.parent().toString()),
+    middleware.require302('failed to create: ' + opts.name),
+    middleware.empty,
+    callback
+  );
+};
+
+/**
+ * Destroy view
+ */
+
+View.prototype.destroy = function(opts, callback) {
+  if (typeof opts === 'string' || Array.isArray(opts)) {
+    opts = { name: opts };
+  } else {
+    opts = opts || {};
+  }
+
+  this.jenkins._log(['debug', 'view', 'destroy'], opts);
+
+  var req = { name: 'view.destroy' };
+
+  try {
+    if (!opts.name) throw new Error('name required');
+
+    req.path = '{view}/doDelete';
+    req.params = { view: utils.FolderPath(opts.name).path('view') };
+  } catch (err) {
+    return callback(this.jenkins._err(err, req));
+  }
+
+  return this.jenkins._post(
+    req,
+    middleware.notFound(opts.name),
+    middleware.require302('failed to delete: ' + opts.name),
+    middleware.empty,
+    callback
+  );
+};
+
+View.prototype['delete'] = View.prototype.destroy;
+
+/**
+ * View exists
+ */
+
+View.prototype.exists = function(opts, callback) {
+  if (typeof opts === 'string' || Array.isArray(opts)) {
+    opts = { name: opts };
+  } else {
+    opts = opts || {};
+  }
+
+  this.jenkins._log(['debug', 'view', 'exists'], opts);
+
+  var req = { name: 'view.exists' };
+
+  try {
+    if (!opts.name) throw new Error('name required');
+
+    req.path = '{view}/api/json';
+    req.params = { view: utils.FolderPath(opts.name).path('view') };
+  } catch (err) {
+    return callback(this.jenkins._err(err, req));
+  }
+
+  return this.jenkins._head(req, middleware.exists, callback);
+};
+
+/**
+ * View details
+ */
+
+View.prototype.get = function(opts, callback) {
+  var arg0 = typeof arguments[0];
+  var arg1 = typeof arguments[1];
+  var arg2 = typeof arguments[2];
+
+  if (arg0 === 'string' || Array.isArray(arguments[0])) {
+    if (arg1 === 'object') {
+      opts = arguments[1];
+      callback = arg2 === 'function' ? arguments[2] : undefined;
+    } else {
+      opts = {};
+      callback = arg1 === 'function' ? arguments[1] : undefined;
+    }
+    opts.name = arguments[0];
+  } else {
+    opts = opts || {};
+  }
+
+  opts.depth = opts.depth || 0;
+
+  this.jenkins._log(['debug', 'view', 'get'], opts);
+
+  var req = { name: 'view.get' };
+
+  try {
+    if (!opts.name) throw new Error('name required');
+
+    req.path = '{view}/api/json';
+    req.params = { view: utils.FolderPath(opts.name).path('view') };
+    req.query = { depth: opts.depth };
+
+    if (opts.tree) req.query.tree = utils.tree(opts.tree);
+  } catch (err) {
+    return callback(this.jenkins._err(err, req));
+  }
+
+  return this.jenkins._get(
+    req,
+    middleware.notFound(opts.name),
+    middleware.body,
+    callback
+  );
+};
+
+/**
+ * List views
+ */
+
+View.prototype.list = function(opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = {};
+  } else if (typeof opts === 'string' || Array.isArray(opts)) {
+    opts = { name: opts };
+  } else {
+    opts = opts || {};
+  }
+
+  this.jenkins._log(['debug', 'view', 'list'], opts);
+
+  var req = {
+    name: 'view.list',
+    path: '{view}/api/json',
+    params: { view: utils.FolderPath(opts.name).path('view') },
+  };
+
+  // tree applies to each view
+  if (opts.tree) req.query = { tree: utils.tree({ views: opts.tree }) };
+
+  return this.jenkins._get(
+    req,
+    middleware.notFound(opts.name),
+    function(ctx, next) {
+      if (ctx.err) return next();
+
+      if (!ctx.res.body || !Array.isArray(ctx.res.body.views)) {
+        ctx.err = new Error('returned bad data');
+      }
+
+      next();
+    },
+    middleware.bodyItem('views'),
+    callback
+  );
+};
+
+/**
+ * Remove job from view
+ */
+
+View.prototype.remove = function(opts, callback) {
+  var arg0 = typeof arguments[0];
+  var arg1 = typeof arguments[1];
+  var arg2 = typeof arguments[2];
+
+  if ((arg0 === 'string' || Array.isArray(arguments[0])) &&
+      (arg1 === 'string' || Array.isArray(arguments[1]))) {
+    opts = {
+      name: arguments[0],
+      job: arguments[1],
+    };
+    callback = arg2 === 'function' ? arguments[2] : undefined;
+  }
+
+  opts = opts || {};
+
+  this.jenkins._log(['debug', 'view', 'remove'], opts);
+
+  var req = { name: 'view.remove' };
+
+  try {
+    if (!opts.name) throw new Error('name required');
+    if (!opts.job) throw new Error('job required');
+
+    req.path = '{view}/removeJobFromView';
+    req.params = { view: utils.FolderPath(opts.name).path('view') };
+    req.query = { name: utils.FolderPath(opts.job).toString() };
+  } catch (err) {
+    return callback(this.jenkins._err(err, req));
+  }
+
+  return this.jenkins._post(
+    req,
+    middleware.notFound(opts.name),
+    middleware.empty,
+    callback
+  );
+};
+
+/**
+ * Promise support
+ */
+
+utils.promisify(View.prototype);
+
+/**
+ * Module exports.
+ */
+
+exports.View = View;
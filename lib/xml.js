@@ -0,0 +1,283 @@
+/**
+ * Minimal lossless xml parser and serializer
+ */
+
+'use strict';
+
+/**
+ * Entities
+ */
+
+var ENTITIES = {
+  amp: '&',
+  apos: '\'',
+  gt: '>',
+  lt: '<',
+  quot: '"',
+};
+
+/**
+ * Decode entities
+ */
+
+function decode(value) {
+  return value.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, function(src, entity) {
+    if (entity[0] === '#') {
+      var code = entity[1] === 'x' ?
+        parseInt(entity.slice(2), 16) :
+        parseInt(entity.slice(1), 10);
+
+      if (code <= 0xffff) return String.fromCharCode(code);
+
+      // characters outside the basic multilingual plane need a surrogate pair
+      code -= 0x10000;
+
+      return String.fromCharCode(0xd800 + (code >> 10), 0xdc00 + (code & 0x3ff));
+    }
+
+    return ENTITIES.hasOwnProperty(entity) ? ENTITIES[entity] : src;
+  });
+}
+
+/**
+ * Encode text or attribute value
+ */
+
+function encode(value, attribute) {
+  value = String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+  if (attribute) value = value.replace(/"/g, '&quot;');
+
+  return value;
+}
+
+/**
+ * Create element node
+ */
+
+function element(name, attributes, children) {
+  return {
+    type: 'element',
+    name: name,
+    attributes: attributes || [],
+    children: children || [],
+  };
+}
+
+/**
+ * Create text node
+ */
+
+function text(value) {
+  return { type: 'text', value: String(value) };
+}
+
+/**
+ * Parse attributes (order preserved)
+ */
+
+function parseAttributes(source) {
+  var attributes = [];
+  var re = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  var match;
+
+  while ((match = re.exec(source))) {
+    var raw = match[3] !== undefined ? match[3] : match[4];
+
+    attributes.push({
+      name: match[1],
+      value: decode(raw),
+      raw: raw,
+      quote: match[2][0],
+    });
+  }
+
+  return attributes;
+}
+
+/**
+ * Parse xml document
+ */
+
+function parse(source) {
+  source = String(source);
+
+  var document = { type: 'document', children: [] };
+  var stack = [document];
+  var i = 0;
+
+  var parent = function() {
+    return stack[stack.length - 1];
+  };
+
+  var fail = function(message) {
+    throw new Error('invalid xml: ' + message + ' (offset ' + i + ')');
+  };
+
+  var raw = function(type, end) {
+    var index = source.indexOf(end, i);
+    if (index === -1) fail('unterminated ' + type);
+
+    var value = source.slice(i, index + end.length);
+    i = index + end.length;
+
+    parent().children.push({ type: type, raw: value });
+  };
+
+  while (i < source.length) {
+    if (source[i] !== '<') {
+      var next = source.indexOf('<', i);
+      if (next === -1) next = source.length;
+
+      var value = source.slice(i, next);
+      parent().children.push({ type: 'text', value: decode(value), raw: value });
+
+      i = next;
+    } else if (source.slice(i, i + 4) === '<!--') {
+      raw('comment', '-->');
+    } else if (source.slice(i, i + 9) === '<![CDATA[') {
+      raw('cdata', ']]>');
+    } else if (source[i + 1] === '?') {
+      raw('instruction', '?>');
+    } else if (source[i + 1] === '!') {
+      raw('doctype', '>');
+    } else if (source[i + 1] === '/') {
+      var close = source.indexOf('>', i);
+      if (close === -1) fail('unterminated closing tag');
+
+      var name = source.slice(i + 2, close).trim();
+      var node = stack.pop();
+
+      if (node.type !== 'element' || node.name !== name) fail('unexpected </' + name + '>');
+
+      i = close + 1;
+    } else {
+      var match = /^<([^\s\/>]+)((?:\s+[^\s=]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/
+        .exec(source.slice(i));
+
+      if (!match) fail('invalid tag');
+
+      var el = element(match[1], parseAttributes(match[2]));
+      el.raw = { open: match[0] };
+
+      parent().children.push(el);
+
+      if (match[3]) {
+        el.selfClosing = true;
+      } else {
+        stack.push(el);
+      }
+
+      i += match[0].length;
+    }
+  }
+
+  if (stack.length !== 1) fail('unclosed <' + parent().name + '>');
+
+  return document;
+}
+
+/**
+ * Serialize opening tag, reusing original source when attributes are unchanged
+ */
+
+function openTag(node, selfClosing) {
+  var attributes = node.attributes.map(function(attr) {
+    var quote = attr.quote || '"';
+    var value = attr.raw !== undefined && decode(attr.raw) === attr.value ?
+      attr.raw :
+      encode(attr.value, true);
+
+    return ' ' + attr.name + '=' + quote + value + quote;
+  }).join('');
+
+  var tag = '<' + node.name + attributes + (selfClosing ? '/>' : '>');
+
+  // keep original formatting (ex: whitespace between attributes)
+  if (node.raw && node.raw.open) {
+    var original = node.raw.open;
+    var same = parseAttributes(original).map(function(attr) {
+      return attr.name + '=' + attr.value;
+    }).join('\n') === node.attributes.map(function(attr) {
+      return attr.name + '=' + attr.value;
+    }).join('\n');
+
+    if (same && /\/>$/.test(original) === selfClosing) return original;
+  }
+
+  return tag;
+}
+
+/**
+ * Serialize node
+ */
+
+function serialize(node) {
+  switch (node.type) {
+    case 'document':
+      return node.children.map(serialize).join('');
+    case 'element':
+      var selfClosing = !!node.selfClosing && !node.children.length;
+
+      if (selfClosing) return openTag(node, true);
+
+      return openTag(node, false) + node.children.map(serialize).join('') +
+        '</' + node.name + '>';
+    case 'text':
+      return node.raw !== undefined && decode(node.raw) === node.value ?
+        node.raw :
+        encode(node.value);
+    default:
+      return node.raw;
+  }
+}
+
+/**
+ * Child elements (optionally filtered by name)
+ */
+
+function children(node, name) {
+  return (node.children || []).filter(function(child) {
+    return child.type === 'element' && (name === undefined || child.name === name);
+  });
+}
+
+/**
+ * Text content of element
+ */
+
+function textContent(node) {
+  return (node.children || []).map(function(child) {
+    if (child.type === 'text') return child.value;
+    if (child.type === 'cdata') return child.raw.slice(9, -3);
+    if (child.type === 'element') return textContent(child);
+
+    return '';
+  }).join('');
+}
+
+/**
+ * Replace element content with text
+ */
+
+function setText(node, value) {
+  node.children = value === undefined || value === null ? [] : [text(value)];
+  node.selfClosing = !node.children.length;
+}
+
+/**
+ * Module exports.
+ */
+
+exports.children = children;
+exports.decode = decode;
+exports.element = element;
+exports.encode = encode;
+exports.parse = parse;
+exports.serialize = serialize;
+exports.setText = setText;
+exports.text = text;
+exports.textContent = textContent;
@@ -7,6 +7,7 @@
 require('should');
 
 var async = require('async');
+var http = require('http');
 var nock = require('nock');
 var uuid = require('node-uuid');
 
@@ -117,6 +118,27 @@ function cleanup(opts, done) {
   async.auto(jobs, done);
 }
 
+/**
+ * Start local server for streamed responses (nock can't pipe them).
+ */
+
+function server(opts, done) {
+  var test = opts.test;
+
+  var srv = http.createServer(opts.handler);
+
+  srv.listen(0, '127.0.0.1', function() {
+    var url = 'http://127.0.0.1:' + srv.address().port;
+
+    nock.enableNetConnect('127.0.0.1');
+
+    test.server = srv;
+    test.serverJenkins = require('../lib')({ baseUrl: url, crumbIssuer: false });
+
+    done();
+  });
+}
+
 /**
  * Module exports.
  */
@@ -124,5 +146,6 @@ function cleanup(opts, done) {
 exports.cleanup = cleanup;
 exports.ndescribe = NOCK_OFF ? describe.skip : describe;
 exports.nit = NOCK_OFF ? it.skip : it;
+exports.server = server;
 exports.setup = setup;
 exports.teardown = teardown;